@@ -23,21 +23,64 @@ console.log("✅ UI shown");
 var collectionsLoaded = false;
 var uploadedJsonData = null;
 
+// Pixels per rem/em when converting theme lengths, sent with each create run
+var remBase = 16;
+
+// Opacity variables generated for the current run (name → Variable) and their results
+var generatedOpacityVariables = {};
+var generatedOpacityResults = [];
+
+// Target variables removed or archived by the current sync run
+var prunedVariableResults = [];
+
+// Mode renames/adds applied by the current sync run, with real mode ids
+var appliedModeChanges = [];
+
+// Source and target of the current create run, recorded in the sync history
+var syncRunContext = null;
+
+// Configuration of the current create run, stored once the run succeeds
+var pendingSyncConfig = null;
+
+// Library imports running at the same time, sent with each create run
+var importConcurrency = 4;
+
+// CSS → Figma naming rules sent with each parse; null uses DEFAULT_NAMING_RULES
+var namingRules = null;
+
+// Stepless colour overrides ({ include, exclude } leaf names) sent with each
+// lookup; null derives the stepless colours from the source names alone
+var steplessOverrides = null;
+
 // ===== MAIN MESSAGE HANDLER =====
 figma.ui.onmessage = function (msg) {
   console.log("📨 Received message:", msg.type);
 
   switch (msg.type) {
     case "get-collections":
-      loadCollections();
+      loadCollections(msg.refresh === true);
       break;
 
     case "parse-css":
+      namingRules = msg.namingRules || null;
       parseCSSContent(msg.cssContent);
       break;
 
+    case "save-opacity-policy":
+      saveOpacityPolicy(msg.policy);
+      break;
+
+    case "preview-naming-rules":
+      previewNamingRules(msg.namingRules, msg.samples);
+      break;
+
     case "create-variables":
       uploadedJsonData = msg.jsonData || null;
+      steplessOverrides = msg.steplessOverrides || null;
+      remBase = msg.remBase > 0 ? msg.remBase : 16;
+      importConcurrency =
+        msg.importConcurrency > 0 ? Math.floor(msg.importConcurrency) : 4;
+      pendingSyncConfig = msg.syncConfig || null;
       console.log(
         "JSON data received:",
         uploadedJsonData
@@ -49,10 +92,90 @@ figma.ui.onmessage = function (msg) {
         msg.selectedSourceCollectionId,
         msg.sourceCollectionType,
         msg.collectionChoice,
-        msg.existingCollectionId
+        msg.existingCollectionId,
+        msg.generateOpacityVariables,
+        msg.modeMappings,
+        msg.syncOptions
+      );
+      break;
+
+    case "cancel-import":
+      cancelImportQueue();
+      break;
+
+    case "get-sync-history":
+      postSyncHistory();
+      break;
+
+    case "get-sync-run":
+      postSyncRun(msg.runId);
+      break;
+
+    case "revert-sync-run":
+      revertSyncRun(msg.runId);
+      break;
+
+    case "rerun-last-sync":
+      rerunLastSync();
+      break;
+
+    case "dry-run":
+      uploadedJsonData = msg.jsonData || null;
+      steplessOverrides = msg.steplessOverrides || null;
+      remBase = msg.remBase > 0 ? msg.remBase : 16;
+      computeDryRun(
+        msg.variablesToCreate,
+        msg.selectedSourceCollectionId,
+        msg.sourceCollectionType,
+        msg.existingCollectionId,
+        msg.modeMappings,
+        msg.generateOpacityVariables
+      );
+      break;
+
+    case "audit-variables":
+      auditOpacityVariables(
+        msg.sourceCollectionId,
+        msg.sourceCollectionType,
+        msg.targetCollectionId,
+        msg.nodeScope
+      );
+      break;
+
+    case "resolve-references":
+      steplessOverrides = msg.steplessOverrides || null;
+      resolvePreviewReferences(
+        msg.references,
+        msg.sourceCollectionId,
+        msg.sourceCollectionType
       );
       break;
 
+    case "select-nodes":
+      selectNodes(msg.nodeIds);
+      break;
+
+    case "delete-variables":
+      handleDeleteVariables(msg.variableIds);
+      break;
+
+    case "restore-deleted-variables":
+      handleRestoreDeletedVariables();
+      break;
+
+    case "export-css":
+      exportCollectionToCSS(msg.collectionId, msg.remBase);
+      break;
+
+    case "validate-keys-json":
+      steplessOverrides = msg.steplessOverrides || null;
+      validateKeysJSON(msg.jsonText, msg.variablesToCreate, msg.modeMappings);
+      break;
+
+    case "export-keys-json":
+      exportVariableKeysJSON();
+      break;
+
     case "close-plugin":
       cleanupImportedVariables().then(function () {
         figma.closePlugin();
@@ -80,113 +203,177 @@ function createCollectionInfo(collection, variables, type, error) {
     type: type,
     modeCount:
       collection.modes && collection.modes.length ? collection.modes.length : 1,
+    modes: (collection.modes || []).map(function (mode) {
+      return { modeId: mode.modeId, name: mode.name };
+    }),
     lastModified: collection.lastModified || null,
     description: collection.description || "",
     error: error || null,
   };
 }
 
-// ===== PROCESS LIBRARY COLLECTION =====
-function processLibraryCollection(collection) {
-  console.log("Processing library collection:", {
-    name: collection.name,
-    key: collection.key,
-    id: collection.id,
-    libraryName: collection.libraryName,
-  });
+// ===== DOCUMENT ID =====
+// clientStorage is shared by every file the user opens, so per-file entries
+// are stored under this id. figma.fileKey is only set for private plugins;
+// other files get a random id kept in their plugin data.
+var DOCUMENT_ID_PLUGIN_DATA_KEY = "documentId";
 
-  // Track imported variables for cleanup
-  var importedVariableIds = [];
+function getDocumentId() {
+  if (figma.fileKey) {
+    return figma.fileKey;
+  }
 
-  // First get all variables from the library
-  return figma.teamLibrary
-    .getVariablesInLibraryCollectionAsync(collection.key)
-    .then(function (variables) {
-      console.log("Initial library variables:", {
-        total: variables.length,
-        collectionName: collection.name,
-      });
+  var id = figma.root.getPluginData(DOCUMENT_ID_PLUGIN_DATA_KEY);
+  if (!id) {
+    id = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    figma.root.setPluginData(DOCUMENT_ID_PLUGIN_DATA_KEY, id);
+  }
+  return id;
+}
 
-      // Try importing all variables to see if we get more
-      var importPromises = variables.map(function (variable) {
-        return figma.variables
-          .importVariableByKeyAsync(variable.key)
-          .then(function (imported) {
-            if (imported && imported.id) {
-              importedVariableIds.push(imported.id);
-            }
-            return {
-              original: variable,
-              imported: imported,
-            };
-          })
-          .catch(function (error) {
-            console.warn("Failed to import variable:", variable.name, error);
-            return {
-              original: variable,
-              error: error,
-            };
-          });
-      });
+// ===== LIBRARY CATALOG =====
+// Library collections and their variable metadata (name, key, resolvedType)
+// are cached in clientStorage, per file since each file enables its own
+// libraries, so they are fetched once, not on every listing and create run.
+// Collections that failed to load are not stored; the stored catalog is
+// marked incomplete and the next load fetches just those again. The refresh
+// button rebuilds the catalog.
+var LIBRARY_CATALOG_STORAGE_KEY = "libraryCatalog";
+var libraryCatalog = null;
+
+function getLibraryCatalogStorageKey() {
+  return LIBRARY_CATALOG_STORAGE_KEY + "." + getDocumentId();
+}
 
-      return Promise.all(importPromises).then(function (results) {
-        var successfulImports = results.filter(function (r) {
-          return r.imported;
-        });
+function loadLibraryCatalog(forceRefresh) {
+  if (!forceRefresh && libraryCatalog) {
+    return Promise.resolve(libraryCatalog);
+  }
 
-        console.log("Import results:", {
-          totalAttempted: results.length,
-          successfulImports: successfulImports.length,
-          failedImports: results.length - successfulImports.length,
-          importedIds: importedVariableIds,
-        });
+  var stored = forceRefresh
+    ? Promise.resolve(null)
+    : figma.clientStorage.getAsync(getLibraryCatalogStorageKey());
 
-        // Get all imported variables directly using their IDs
-        var importedVars = importedVariableIds
-          .map(function (id) {
-            return figma.variables.getVariableById(id);
-          })
-          .filter(function (v) {
-            return v !== null;
-          });
+  return stored.then(function (catalog) {
+    if (catalog && catalog.collections && !catalog.incomplete) {
+      console.log("📦 Using cached library catalog:", {
+        collections: catalog.collections.length,
+        updatedAt: new Date(catalog.updatedAt).toISOString(),
+      });
+      libraryCatalog = catalog;
+      return catalog;
+    }
+    return buildLibraryCatalog(catalog && catalog.collections ? catalog : null);
+  });
+}
 
-        console.log("Variables after import:", {
-          total: importedVars.length,
-          colorVars: importedVars.filter(function (v) {
-            return v.name.indexOf("color/") === 0;
-          }).length,
-          blackVars: importedVars
-            .filter(function (v) {
-              return v.name.indexOf("color/black") === 0;
-            })
-            .map(function (v) {
-              return v.name;
-            }),
-        });
+// Fetches every available collection, or only those missing from an
+// incomplete stored catalog
+function buildLibraryCatalog(partialCatalog) {
+  console.log(
+    partialCatalog
+      ? "🌐 Completing library catalog..."
+      : "🌐 Building library catalog..."
+  );
+  var cachedEntries = {};
+  if (partialCatalog) {
+    for (var i = 0; i < partialCatalog.collections.length; i++) {
+      cachedEntries[partialCatalog.collections[i].key] =
+        partialCatalog.collections[i];
+    }
+  }
 
-        // Store imported IDs for cleanup
-        figma.clientStorage
-          .setAsync("importedVariableIds", importedVariableIds)
-          .catch(function (error) {
-            console.warn("Failed to store imported IDs:", error);
+  return figma.teamLibrary
+    .getAvailableLibraryVariableCollectionsAsync()
+    .then(function (libraryCollections) {
+      return Promise.all(
+        libraryCollections.map(function (collection) {
+          return hasOwnName(cachedEntries, collection.key)
+            ? cachedEntries[collection.key]
+            : fetchLibraryCatalogEntry(collection);
+        })
+      );
+    })
+    .then(function (collections) {
+      var updatedAt = partialCatalog ? partialCatalog.updatedAt : Date.now();
+      var loaded = collections.filter(function (entry) {
+        return !entry.error;
+      });
+      libraryCatalog = { updatedAt: updatedAt, collections: collections };
+      return figma.clientStorage
+        .setAsync(getLibraryCatalogStorageKey(), {
+          updatedAt: updatedAt,
+          incomplete: loaded.length < collections.length,
+          collections: loaded,
+        })
+        .catch(function (error) {
+          console.warn("⚠️ Could not store library catalog:", error);
+        })
+        .then(function () {
+          console.log("✅ Library catalog built:", {
+            collections: collections.length,
+            failed: collections.length - loaded.length,
           });
+          return libraryCatalog;
+        });
+    });
+}
 
-        var collectionInfo = createCollectionInfo(
-          collection,
-          importedVars,
-          "library"
-        );
+// Reads a collection's LibraryVariable metadata; nothing is imported
+function fetchLibraryCatalogEntry(collection) {
+  var entry = {
+    key: collection.key,
+    name: collection.name,
+    libraryName: collection.libraryName,
+    variables: [],
+    error: null,
+  };
 
-        return collectionInfo;
+  return figma.teamLibrary
+    .getVariablesInLibraryCollectionAsync(collection.key)
+    .then(function (variables) {
+      entry.variables = variables.map(function (variable) {
+        return {
+          name: variable.name,
+          key: variable.key,
+          resolvedType: variable.resolvedType,
+        };
       });
+      return entry;
     })
     .catch(function (error) {
       console.error("❌ Error loading library " + collection.name + ":", error);
-      return createCollectionInfo(collection, null, "library", error.message);
+      entry.error = error.message;
+      return entry;
     });
 }
 
+// Variables of one library collection, from the catalog when it has them;
+// collections that failed to load are fetched again
+function getLibraryCatalogVariables(collectionKey) {
+  return loadLibraryCatalog(false).then(function (catalog) {
+    for (var i = 0; i < catalog.collections.length; i++) {
+      var entry = catalog.collections[i];
+      if (entry.key === collectionKey && !entry.error) {
+        return entry.variables;
+      }
+    }
+    return figma.teamLibrary.getVariablesInLibraryCollectionAsync(
+      collectionKey
+    );
+  });
+}
+
+function getLibraryCollectionInfos(catalog) {
+  return catalog.collections.map(function (entry) {
+    return createCollectionInfo(entry, entry.variables, "library", entry.error);
+  });
+}
+
 // ===== CLEANUP IMPORTED VARIABLES =====
+// Removes variables imported only to resolve preview values (and any left
+// behind by earlier versions that imported whole libraries to list them).
+// Imports that are aliased by now cannot be removed and are kept.
 function cleanupImportedVariables() {
   return figma.clientStorage
     .getAsync("importedVariableIds")
@@ -252,7 +439,7 @@ function cleanupImportedVariables() {
 }
 
 // ===== LOAD COLLECTIONS =====
-function loadCollections() {
+function loadCollections(refreshLibraries) {
   try {
     console.log("📨 Loading collections...");
 
@@ -265,18 +452,9 @@ function loadCollections() {
       return createCollectionInfo(collection, variables, "local");
     });
 
-    // Load library collections asynchronously
-    figma.teamLibrary
-      .getAvailableLibraryVariableCollectionsAsync()
-      .then(function (libraryCollections) {
-        // Process each library collection
-        var libraryPromises = libraryCollections.map(function (collection) {
-          return processLibraryCollection(collection);
-        });
-
-        // Wait for all library processing to complete
-        return Promise.all(libraryPromises);
-      })
+    // Load library collections from the catalog
+    loadLibraryCatalog(refreshLibraries)
+      .then(getLibraryCollectionInfos)
       .then(function (libraryInfo) {
         // Filter out any failed loads
         var validLibraries = libraryInfo.filter(function (lib) {
@@ -322,6 +500,12 @@ function loadCollections() {
           success: true,
           sourceCollections: allCollections,
           targetCollections: localInfo, // Only local collections can be targets
+          lastSync: loadSyncConfig(),
+          defaultNamingRules: DEFAULT_NAMING_RULES,
+          opacityPolicy: getOpacityPolicy(),
+          libraryCatalogUpdatedAt: libraryCatalog
+            ? libraryCatalog.updatedAt
+            : null,
         });
 
         collectionsLoaded = true;
@@ -335,6 +519,9 @@ function loadCollections() {
           success: true,
           sourceCollections: localInfo,
           targetCollections: localInfo,
+          lastSync: loadSyncConfig(),
+          defaultNamingRules: DEFAULT_NAMING_RULES,
+          opacityPolicy: getOpacityPolicy(),
           warning: "Could not load library collections: " + error.message,
         });
       });
@@ -348,6 +535,176 @@ function loadCollections() {
   }
 }
 
+// ===== LAST SYNC CONFIGURATION =====
+// The settings of the last successful create run are stored in the document,
+// so anyone opening the file starts from the same source, target, mode
+// mappings and options and can re-run the sync with the stored CSS.
+var SYNC_CONFIG_PLUGIN_DATA_KEY = "lastSyncConfig";
+
+// Plugin data entries are limited to about 100 kB, so the CSS is stored on its
+// own in parts of at most this many characters (3 bytes each at worst):
+// lastSyncCss.<generation>.0, lastSyncCss.<generation>.1, ... Each save writes
+// a new generation and only then points the configuration at it, so a failed
+// save leaves the previous configuration and its CSS intact.
+var SYNC_CSS_PLUGIN_DATA_KEY = "lastSyncCss";
+var SYNC_CSS_PART_SIZE = 30000;
+
+// Returns whether the configuration was stored
+function saveSyncConfig(config) {
+  if (!config || !config.cssContent) {
+    return false;
+  }
+
+  // The rules the CSS was parsed with, which a re-run has to repeat
+  var options = JSON.parse(JSON.stringify(config.options || {}));
+  options.namingRules = namingRules || DEFAULT_NAMING_RULES;
+
+  var previous = readStoredSyncConfig();
+  var generation = previous ? (previous.cssGeneration || 0) + 1 : 1;
+
+  try {
+    // Left over if an unreadable configuration pointed at this generation
+    clearSyncCss(generation);
+    var cssParts = writeSyncCss(generation, config.cssContent);
+    figma.root.setPluginData(
+      SYNC_CONFIG_PLUGIN_DATA_KEY,
+      JSON.stringify({
+        sourceCollectionId: config.sourceCollectionId,
+        sourceCollectionType: config.sourceCollectionType,
+        targetCollectionId: config.targetCollectionId,
+        modeMappings: config.modeMappings || [],
+        options: options,
+        fileName: config.fileName || "",
+        cssHash: hashString(config.cssContent),
+        cssGeneration: generation,
+        cssParts: cssParts,
+        savedAt: Date.now(),
+      })
+    );
+    if (previous) {
+      clearSyncCss(previous.cssGeneration);
+    }
+    console.log("💾 Saved sync configuration");
+    return true;
+  } catch (error) {
+    console.warn("⚠️ Could not save sync configuration:", error);
+    clearSyncCss(generation);
+    figma.notify(
+      "The settings of this run could not be stored for Re-run last sync",
+      { error: true }
+    );
+    return false;
+  }
+}
+
+function getSyncCssPartKey(generation, part) {
+  return SYNC_CSS_PLUGIN_DATA_KEY + "." + generation + "." + part;
+}
+
+// Writes the CSS parts of a generation and returns their number
+function writeSyncCss(generation, cssContent) {
+  var parts = 0;
+  for (
+    var offset = 0;
+    offset < cssContent.length;
+    offset += SYNC_CSS_PART_SIZE
+  ) {
+    figma.root.setPluginData(
+      getSyncCssPartKey(generation, parts),
+      cssContent.substr(offset, SYNC_CSS_PART_SIZE)
+    );
+    parts++;
+  }
+  return parts;
+}
+
+function readSyncCss(generation, parts) {
+  var cssContent = "";
+  for (var part = 0; part < parts; part++) {
+    cssContent += figma.root.getPluginData(getSyncCssPartKey(generation, part));
+  }
+  return cssContent;
+}
+
+// Empties every part of a generation, including ones a failed save wrote
+function clearSyncCss(generation) {
+  for (
+    var part = 0;
+    figma.root.getPluginData(getSyncCssPartKey(generation, part));
+    part++
+  ) {
+    figma.root.setPluginData(getSyncCssPartKey(generation, part), "");
+  }
+}
+
+// The stored configuration without its CSS
+function readStoredSyncConfig() {
+  var stored = figma.root.getPluginData(SYNC_CONFIG_PLUGIN_DATA_KEY);
+  if (!stored) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.warn("⚠️ Ignoring unreadable sync configuration:", error);
+    return null;
+  }
+}
+
+function loadSyncConfig() {
+  var config = readStoredSyncConfig();
+  if (config) {
+    // Reassemble the CSS from the parts of the generation it points to
+    config.cssContent = readSyncCss(config.cssGeneration, config.cssParts);
+  }
+  return config;
+}
+
+// Parses the stored CSS again; the UI restores the rest of the configuration
+function rerunLastSync() {
+  var config = loadSyncConfig();
+  if (!config || !config.cssContent) {
+    figma.ui.postMessage({
+      type: "parsing-complete",
+      success: false,
+      message: "No previous sync is stored in this file.",
+    });
+    return;
+  }
+
+  if (hashString(config.cssContent) !== config.cssHash) {
+    figma.ui.postMessage({
+      type: "parsing-complete",
+      success: false,
+      message: "The stored CSS is damaged. Please upload the CSS file again.",
+    });
+    return;
+  }
+
+  console.log("🔁 Re-running last sync:", config.fileName);
+  namingRules = (config.options && config.options.namingRules) || null;
+  parseCSSContent(config.cssContent);
+}
+
+// 32-bit FNV-1a hash as hex, enough to tell whether two CSS files differ
+function hashString(value) {
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    // Multiply by the FNV prime with shifts so the result stays exact
+    hash =
+      (hash +
+        (hash << 1) +
+        (hash << 4) +
+        (hash << 7) +
+        (hash << 8) +
+        (hash << 24)) >>>
+      0;
+  }
+  return ("0000000" + hash.toString(16)).slice(-8);
+}
+
 // ===== PARSE CSS CONTENT =====
 function parseCSSContent(cssContent) {
   try {
@@ -362,8 +719,28 @@ function parseCSSContent(cssContent) {
       throw new Error("HTML content detected instead of CSS");
     }
 
+    validateNamingRules(namingRules || DEFAULT_NAMING_RULES);
+
+    var stylesheet = parseCSSStylesheet(cssContent);
+
+    if (stylesheet.errors.length > 0) {
+      console.warn("⚠️ CSS syntax errors:", stylesheet.errors);
+      figma.ui.postMessage({
+        type: "parsing-complete",
+        success: false,
+        message:
+          formatCSSParseError(stylesheet.errors[0]) +
+          (stylesheet.errors.length > 1
+            ? " (and " + (stylesheet.errors.length - 1) + " more)"
+            : ""),
+        errors: stylesheet.errors,
+      });
+      return;
+    }
+
     // Extract theme variables
-    var themeVariables = extractThemeVariables(cssContent);
+    var theme = extractThemeVariables(stylesheet);
+    var themeVariables = theme.variables;
 
     if (themeVariables.length === 0) {
       figma.ui.postMessage({
@@ -374,7 +751,17 @@ function parseCSSContent(cssContent) {
       return;
     }
 
-    console.log("✅ Found " + themeVariables.length + " theme variables");
+    console.log(
+      "✅ Found " +
+        themeVariables.length +
+        " theme variables across " +
+        theme.modeSelectors.length +
+        " selectors"
+    );
+
+    if (theme.warnings.length > 0) {
+      console.warn("⚠️ CSS lint warnings:", theme.warnings);
+    }
 
     // Send results to UI
     figma.ui.postMessage({
@@ -382,7 +769,9 @@ function parseCSSContent(cssContent) {
       success: true,
       results: {
         variables: themeVariables,
+        modeSelectors: theme.modeSelectors,
         totalFound: themeVariables.length,
+        warnings: theme.warnings,
       },
     });
   } catch (error) {
@@ -395,1196 +784,6239 @@ function parseCSSContent(cssContent) {
   }
 }
 
-// ===== EXTRACT @THEME VARIABLES FROM CSS =====
-function extractThemeVariables(cssContent) {
-  var themeVariables = [];
-  var variableMap = {
-    fill: {},
-    stroke: {},
-    a11y: {},
-    symbol: {},
+// ===== CSS PARSER =====
+// Handles the subset of CSS that theme files use: rule blocks (including nested
+// rules), custom property declarations, comments, strings and at-rules with or
+// without a block (@theme, @media, @layer, @import, ...). Returns
+// {nodes, errors}; errors carry 1-based line and column numbers.
+
+// At-rules whose blocks never hold theme values
+var CSS_IGNORED_AT_RULES = ["keyframes", "font-face", "property", "page"];
+
+function tokenizeCSS(cssContent) {
+  var tokens = [];
+  var errors = [];
+  var text = "";
+  var textStart = null;
+  var parenDepth = 0;
+  var line = 1;
+  var column = 1;
+  var i = 0;
+
+  var advance = function () {
+    if (cssContent.charAt(i) === "\n") {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    i++;
   };
 
-  // Log initial state
-  console.log("📊 Initial variableMap:", variableMap);
-
-  try {
-    // Find @theme block
-    var themeRegex = /@theme[^{]*\{([^}]+)\}/;
-    var themeMatch = cssContent.match(themeRegex);
-
-    if (!themeMatch) {
-      console.log("❌ No @theme block found");
-      return [];
+  var flushText = function () {
+    if (text.trim()) {
+      tokens.push({
+        type: "text",
+        value: text.trim(),
+        line: textStart.line,
+        column: textStart.column,
+      });
     }
+    text = "";
+    textStart = null;
+    parenDepth = 0;
+  };
 
-    // Extract variable mappings from @theme
-    var themeVars = {};
-    var themeVarRegex = /--color-([^:]+):\s*var\(--([^)]+)\)/g;
-    var match;
+  while (i < cssContent.length) {
+    var ch = cssContent.charAt(i);
+
+    // Comments
+    if (ch === "/" && cssContent.charAt(i + 1) === "*") {
+      var commentLine = line;
+      var commentColumn = column;
+      var end = cssContent.indexOf("*/", i + 2);
+      if (end === -1) {
+        errors.push({
+          message: "Unterminated comment",
+          line: commentLine,
+          column: commentColumn,
+        });
+        break;
+      }
+      while (i < end + 2) {
+        advance();
+      }
+      text += " ";
+      continue;
+    }
 
-    while ((match = themeVarRegex.exec(themeMatch[1])) !== null) {
-      var colorName = match[1];
-      var varReference = match[2];
-      themeVars[varReference] = "color/" + colorName.replace(/-/g, "/");
+    // Strings are kept verbatim inside the surrounding text
+    if (ch === '"' || ch === "'") {
+      if (textStart === null) {
+        textStart = { line: line, column: column };
+      }
+      var stringLine = line;
+      var stringColumn = column;
+      var closed = false;
+      text += ch;
+      advance();
+      while (i < cssContent.length) {
+        var sc = cssContent.charAt(i);
+        if (sc === "\\") {
+          text += sc + cssContent.charAt(i + 1);
+          advance();
+          advance();
+          continue;
+        }
+        if (sc === "\n") {
+          break;
+        }
+        text += sc;
+        advance();
+        if (sc === ch) {
+          closed = true;
+          break;
+        }
+      }
+      if (!closed) {
+        errors.push({
+          message: "Unterminated string",
+          line: stringLine,
+          column: stringColumn,
+        });
+        break;
+      }
+      continue;
     }
 
-    console.log(
-      "🎨 Found " +
-        Object.keys(themeVars).length +
-        " theme variable definitions"
-    );
+    if (ch === "(") {
+      parenDepth++;
+    } else if (ch === ")" && parenDepth > 0) {
+      parenDepth--;
+    }
 
-    // Find light and dark mode blocks
-    var lightMatch = cssContent.match(/(?::root|\.light)\s*\{([^}]+)\}/);
-    var darkMatch = cssContent.match(/\.dark\s*\{([^}]+)\}/);
+    // Braces and semicolons inside parentheses belong to the value
+    if ((ch === "{" || ch === "}" || ch === ";") && parenDepth === 0) {
+      flushText();
+      tokens.push({ type: ch, line: line, column: column });
+      advance();
+      continue;
+    }
 
-    if (!lightMatch || !darkMatch) {
-      console.log("❌ Missing light or dark mode definitions");
-      return [];
+    if (textStart === null && !/\s/.test(ch)) {
+      textStart = { line: line, column: column };
     }
+    text += ch;
+    advance();
+  }
 
-    // Parse mode definitions
-    var lightVars = parseVariableDefinitions(lightMatch[1]);
-    var darkVars = parseVariableDefinitions(darkMatch[1]);
+  if (parenDepth > 0 && textStart) {
+    errors.push({
+      message: "Unclosed parenthesis",
+      line: textStart.line,
+      column: textStart.column,
+    });
+  }
+  flushText();
 
-    console.log(
-      "💡 Light mode: " + Object.keys(lightVars).length + " variables"
-    );
-    console.log("🌙 Dark mode: " + Object.keys(darkVars).length + " variables");
+  return { tokens: tokens, errors: errors };
+}
 
-    // Create mappings for variables that exist in theme, light, and dark
-    for (var varName in themeVars) {
-      if (lightVars[varName] && darkVars[varName]) {
-        var finalVarName = themeVars[varName];
-        var lightRef = convertCSSVariableToFigmaName(lightVars[varName]);
-        var darkRef = convertCSSVariableToFigmaName(darkVars[varName]);
+function parseCSSStylesheet(cssContent) {
+  var tokenized = tokenizeCSS(cssContent);
+  var tokens = tokenized.tokens;
+  var errors = tokenized.errors;
+  var position = 0;
 
-        // Find original theme mapping string
-        var themeMapping = themeMatch[1].split(";").find(function (line) {
-          return (
-            line
-              .trim()
-              .indexOf(
-                "--color-" +
-                  finalVarName.replace(/color\//g, "").replace(/\//g, "-")
-              ) === 0
-          );
-        });
+  var parseBlock = function (openToken) {
+    var block = { declarations: [], children: [] };
+    var pending = null;
 
-        // Find original mode value strings
-        var lightValue = lightMatch[1].split(";").find(function (line) {
-          return line.trim().indexOf("--" + varName + ":") === 0;
-        });
-        var darkValue = darkMatch[1].split(";").find(function (line) {
-          return line.trim().indexOf("--" + varName + ":") === 0;
+    var flushStatement = function () {
+      if (!pending) {
+        return;
+      }
+      if (pending.value.charAt(0) === "@") {
+        block.children.push(createCSSAtRule(pending, false));
+      } else {
+        var colon = pending.value.indexOf(":");
+        if (colon <= 0) {
+          errors.push({
+            message: "Expected a declaration, found '" + pending.value + "'",
+            line: pending.line,
+            column: pending.column,
+          });
+        } else {
+          block.declarations.push({
+            property: pending.value.substring(0, colon).trim(),
+            value: pending.value.substring(colon + 1).trim(),
+            line: pending.line,
+            column: pending.column,
+          });
+        }
+      }
+      pending = null;
+    };
+
+    while (position < tokens.length) {
+      var token = tokens[position++];
+
+      if (token.type === "text") {
+        pending = token;
+      } else if (token.type === ";") {
+        flushStatement();
+      } else if (token.type === "{") {
+        if (!pending) {
+          errors.push({
+            message: "Block without a selector",
+            line: token.line,
+            column: token.column,
+          });
+          pending = { value: "", line: token.line, column: token.column };
+        }
+        var node =
+          pending.value.charAt(0) === "@"
+            ? createCSSAtRule(pending, true)
+            : {
+                type: "rule",
+                selector: pending.value.replace(/\s+/g, " "),
+                line: pending.line,
+                column: pending.column,
+              };
+        pending = null;
+        var contents = parseBlock(token);
+        node.declarations = contents.declarations;
+        node.children = contents.children;
+        block.children.push(node);
+      } else if (token.type === "}") {
+        flushStatement();
+        if (openToken) {
+          return block;
+        }
+        errors.push({
+          message: "Unexpected '}'",
+          line: token.line,
+          column: token.column,
         });
+      }
+    }
 
-        var variable = {
-          themeMapping: themeMapping ? themeMapping.trim() : "",
-          lightValue: lightValue ? lightValue.trim() : "",
-          darkValue: darkValue ? darkValue.trim() : "",
-          variableName: finalVarName,
-          lightReference: lightRef,
-          darkReference: darkRef,
-        };
+    flushStatement();
+    if (openToken) {
+      errors.push({
+        message: "Unclosed block",
+        line: openToken.line,
+        column: openToken.column,
+      });
+    }
+    return block;
+  };
 
-        themeVariables.push(variable);
+  var root = parseBlock(null);
+  errors.sort(function (a, b) {
+    return a.line - b.line || a.column - b.column;
+  });
 
-        // Store in categorized map
-        var category = finalVarName.split("/")[1]; // fill, stroke, a11y, or symbol
-        if (!variableMap[category]) {
-          variableMap[category] = {};
-        }
-        variableMap[category][finalVarName] = variable;
-      }
-    }
+  return { nodes: root.children, errors: errors };
+}
 
-    // Log final state with categorized theme variables
-    console.log("📊 Theme Variables by Category:", variableMap);
-  } catch (error) {
-    console.error("❌ Error extracting theme variables:", error);
-  }
+function createCSSAtRule(token, hasBlock) {
+  var match = token.value.match(/^@([\w-]+)\s*([\s\S]*)$/);
+  return {
+    type: "atrule",
+    name: match ? match[1].toLowerCase() : "",
+    prelude: match ? match[2].replace(/\s+/g, " ").trim() : "",
+    hasBlock: hasBlock,
+    line: token.line,
+    column: token.column,
+    declarations: [],
+    children: [],
+  };
+}
 
-  return themeVariables;
+function formatCSSParseError(error) {
+  return (
+    "CSS syntax error at line " +
+    error.line +
+    ", column " +
+    error.column +
+    ": " +
+    error.message
+  );
+}
+
+// ===== EXTRACT @THEME VARIABLES FROM CSS =====
+// Returns the @theme variables with one value per selector block that defines
+// them (:root, .dark, [data-theme=dim], ...), the list of those selectors,
+// which the UI maps onto Figma modes, and the lint warnings for the CSS.
+function extractThemeVariables(stylesheet) {
+  var themeVariables = [];
+  var modeSelectors = [];
+  var warnings = [];
+  var variableMap = {
+    fill: {},
+    stroke: {},
+    a11y: {},
+    symbol: {},
+  };
+
+  // Log initial state
+  console.log("📊 Initial variableMap:", variableMap);
+
+  try {
+    var collected = collectThemeAndModeBlocks(stylesheet.nodes);
+
+    if (collected.themeDeclarations.length === 0) {
+      console.log("❌ No @theme block found");
+      return { variables: [], modeSelectors: [], warnings: [] };
+    }
+
+    // Extract variable mappings from every @theme block, in declaration order;
+    // a later declaration of the same token replaces the earlier one
+    var themeTokens = [];
+    var tokenIndex = {};
+    for (var t = 0; t < collected.themeDeclarations.length; t++) {
+      var declaration = collected.themeDeclarations[t];
+      var namespace = matchThemeNamespace(declaration.property);
+      if (!namespace) {
+        continue;
+      }
+
+      // Namespace resets such as --color-*: initial define no token
+      if (
+        declaration.property.indexOf("*") !== -1 ||
+        /^(initial|inherit|unset)$/.test(declaration.value)
+      ) {
+        continue;
+      }
+
+      var referenceMatch = declaration.value.match(/^var\(--([^)]+)\)$/);
+
+      var token = {
+        variableName: convertCSSVariableToFigmaName(
+          declaration.property,
+          namespace.resolvedType
+        ),
+        resolvedType: namespace.resolvedType,
+        themeMapping: declaration.property + ": " + declaration.value,
+        varReference: referenceMatch ? referenceMatch[1].trim() : null,
+        literal: referenceMatch ? null : declaration.value,
+        property: declaration.property,
+        line: declaration.line,
+      };
+
+      if (token.variableName in tokenIndex) {
+        // Repeats of the same property are reported by the lint pass
+        var replaced = themeTokens[tokenIndex[token.variableName]];
+        if (replaced.property !== token.property) {
+          warnings.push({
+            type: "duplicate",
+            name: token.property,
+            message:
+              replaced.property +
+              " and " +
+              token.property +
+              " both become " +
+              token.variableName +
+              "; the later one wins",
+            line: token.line,
+          });
+        }
+        themeTokens[tokenIndex[token.variableName]] = token;
+      } else {
+        tokenIndex[token.variableName] = themeTokens.length;
+        themeTokens.push(token);
+      }
+    }
+
+    console.log(
+      "🎨 Found " + themeTokens.length + " theme variable definitions"
+    );
+
+    var modeBlocks = collected.modeBlocks;
+
+    for (var b = 0; b < modeBlocks.length; b++) {
+      console.log(
+        "🎭 " +
+          modeBlocks[b].selector +
+          ": " +
+          Object.keys(modeBlocks[b].definitions).length +
+          " variables"
+      );
+    }
+
+    // Create mappings for theme tokens that have a literal value or are
+    // defined in at least one mode
+    for (var i = 0; i < themeTokens.length; i++) {
+      var themeToken = themeTokens[i];
+      var finalVarName = themeToken.variableName;
+      var isColor = themeToken.resolvedType === "COLOR";
+      var modes = {};
+      var modeCount = 0;
+
+      for (var j = 0; j < modeBlocks.length && themeToken.varReference; j++) {
+        var block = modeBlocks[j];
+        var definition = block.definitions[themeToken.varReference];
+        if (!definition) {
+          continue;
+        }
+
+        modes[block.selector] = {
+          value: definition.value,
+          reference: definition.reference
+            ? convertCSSVariableToFigmaName(
+                definition.reference,
+                themeToken.resolvedType
+              )
+            : null,
+          literal: definition.reference ? null : definition.literal,
+          alpha: isColor ? parseAlphaReference(definition.value) : null,
+          // Parsed literal colour for the preview swatch
+          color:
+            isColor && !definition.reference
+              ? parseCSSColor(definition.literal)
+              : null,
+        };
+        block.variableCount++;
+        modeCount++;
+      }
+
+      if (modeCount === 0 && themeToken.literal === null) {
+        continue;
+      }
+
+      var variable = {
+        themeMapping: themeToken.themeMapping,
+        variableName: finalVarName,
+        resolvedType: themeToken.resolvedType,
+        modes: modes,
+        // Literal @theme values apply to every mode
+        themeValue:
+          themeToken.literal === null
+            ? null
+            : {
+                value: themeToken.themeMapping,
+                literal: themeToken.literal,
+                color: isColor ? parseCSSColor(themeToken.literal) : null,
+              },
+      };
+
+      themeVariables.push(variable);
+
+      // Store in categorized map
+      var category = finalVarName.split("/")[1]; // fill, stroke, a11y, or symbol
+      if (!variableMap[category]) {
+        variableMap[category] = {};
+      }
+      variableMap[category][finalVarName] = variable;
+    }
+
+    for (var k = 0; k < modeBlocks.length; k++) {
+      if (modeBlocks[k].variableCount > 0) {
+        modeSelectors.push({
+          selector: modeBlocks[k].selector,
+          suggestedModeName: suggestModeName(modeBlocks[k].selector),
+          variableCount: modeBlocks[k].variableCount,
+        });
+      }
+    }
+
+    warnings = warnings.concat(
+      lintThemeDefinitions(collected.themeDeclarations, modeBlocks, themeTokens)
+    );
+
+    // Log final state with categorized theme variables
+    console.log("📊 Theme Variables by Category:", variableMap);
+  } catch (error) {
+    console.error("❌ Error extracting theme variables:", error);
+  }
+
+  return {
+    variables: themeVariables,
+    modeSelectors: modeSelectors,
+    warnings: warnings,
+  };
+}
+
+// Walks the parsed stylesheet collecting @theme declarations and every rule
+// that defines var() references. @layer is transparent; @media, @supports and
+// other conditional wrappers become part of the mode selector, so
+// "@media (prefers-color-scheme: dark) :root" is its own mode. Blocks that
+// repeat the same selector are merged, later declarations winning.
+function collectThemeAndModeBlocks(nodes) {
+  var themeDeclarations = [];
+  var modeBlocks = [];
+  var bySelector = {};
+
+  var addModeBlock = function (selector, declarations) {
+    var definitions = parseVariableDefinitions(declarations);
+    if (!selector || Object.keys(definitions).length === 0) {
+      return;
+    }
+
+    var block = bySelector[selector];
+    if (!block) {
+      block = {
+        selector: selector,
+        definitions: {},
+        declarations: [],
+        variableCount: 0,
+      };
+      bySelector[selector] = block;
+      modeBlocks.push(block);
+    }
+    for (var name in definitions) {
+      block.definitions[name] = definitions[name];
+    }
+    // Kept in source order so the lint pass can report repeated properties
+    block.declarations = block.declarations.concat(declarations);
+  };
+
+  var walk = function (nodes, context) {
+    for (var i = 0; i < nodes.length; i++) {
+      var node = nodes[i];
+
+      if (node.type === "rule") {
+        var rulePath = context.concat([node.selector]);
+        addModeBlock(rulePath.join(" "), node.declarations);
+        walk(node.children, rulePath);
+        continue;
+      }
+
+      if (!node.hasBlock || CSS_IGNORED_AT_RULES.indexOf(node.name) !== -1) {
+        continue;
+      }
+
+      if (node.name === "theme") {
+        themeDeclarations = themeDeclarations.concat(node.declarations);
+        walk(node.children, context);
+      } else if (node.name === "layer") {
+        walk(node.children, context);
+      } else {
+        var atRulePath = context.concat([
+          "@" + node.name + (node.prelude ? " " + node.prelude : ""),
+        ]);
+        // Declarations directly inside a nested @media apply to the parent rule
+        addModeBlock(atRulePath.join(" "), node.declarations);
+        walk(node.children, atRulePath);
+      }
+    }
+  };
+
+  walk(nodes, []);
+
+  return { themeDeclarations: themeDeclarations, modeBlocks: modeBlocks };
+}
+
+// Turns a selector into a default mode name: :root → Light, .dark → Dark,
+// [data-theme=dim] → Dim, .hc-light → Hc Light,
+// @media (prefers-color-scheme: dark) :root → Dark
+function suggestModeName(selector) {
+  var scheme = selector.match(/prefers-color-scheme\s*:\s*([\w-]+)/);
+  var words = scheme
+    ? scheme[1]
+    : selector
+        .replace(/@[\w-]+(\s*\([^)]*\))*/g, " ")
+        .split(",")[0]
+        .replace(/:root|\bhtml\b/g, " ")
+        .replace(/data-(theme|mode)/g, " ")
+        .replace(/[^A-Za-z0-9]+/g, " ")
+        .trim();
+
+  if (!words) {
+    return "Light";
+  }
+
+  return words
+    .split(/[\s-]+/)
+    .map(function (word) {
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    })
+    .join(" ");
+}
+
+// ===== LINT PARSED CSS =====
+// Reports what extraction otherwise settles silently: properties declared
+// more than once in @theme or in one selector (the last declaration wins),
+// selectors that suggest the same mode but disagree, theme tokens without a
+// value in a mode and mode entries nothing references. Each warning is
+// {type, name, message, line}; type is duplicate, conflict, missing or
+// unreferenced and line is null when the warning spans several places.
+function lintThemeDefinitions(themeDeclarations, modeBlocks, themeTokens) {
+  var warnings = [];
+
+  lintDuplicateDeclarations(warnings, "@theme", themeDeclarations);
+  for (var i = 0; i < modeBlocks.length; i++) {
+    lintDuplicateDeclarations(
+      warnings,
+      modeBlocks[i].selector,
+      modeBlocks[i].declarations
+    );
+  }
+
+  lintConflictingModes(warnings, modeBlocks);
+  lintMissingModeValues(warnings, modeBlocks, themeTokens);
+  lintUnreferencedEntries(warnings, modeBlocks, themeTokens);
+
+  return warnings;
+}
+
+function lintDuplicateDeclarations(warnings, selector, declarations) {
+  var previous = {};
+
+  for (var i = 0; i < declarations.length; i++) {
+    var declaration = declarations[i];
+    var property = declaration.property;
+    if (property.indexOf("--") !== 0 || property.indexOf("*") !== -1) {
+      continue;
+    }
+
+    if (hasOwnName(previous, property)) {
+      var earlier = previous[property];
+      warnings.push({
+        type: "duplicate",
+        name: property,
+        message:
+          property +
+          " is declared twice in " +
+          selector +
+          " (lines " +
+          earlier.line +
+          " and " +
+          declaration.line +
+          ")" +
+          (earlier.value === declaration.value
+            ? ""
+            : "; " + declaration.value + " wins over " + earlier.value),
+        line: declaration.line,
+      });
+    }
+    previous[property] = declaration;
+  }
+}
+
+// Selectors that suggest the same mode (:root and .light, .dark and the dark
+// prefers-color-scheme query) are mapped onto one Figma mode by default
+function lintConflictingModes(warnings, modeBlocks) {
+  var blocksByMode = {};
+  var modeNames = [];
+
+  for (var i = 0; i < modeBlocks.length; i++) {
+    var modeName = suggestModeName(modeBlocks[i].selector);
+    if (!hasOwnName(blocksByMode, modeName)) {
+      blocksByMode[modeName] = [];
+      modeNames.push(modeName);
+    }
+    blocksByMode[modeName].push(modeBlocks[i]);
+  }
+
+  for (var m = 0; m < modeNames.length; m++) {
+    var blocks = blocksByMode[modeNames[m]];
+    if (blocks.length < 2) {
+      continue;
+    }
+
+    var valuesByName = {};
+    var names = [];
+    for (var b = 0; b < blocks.length; b++) {
+      for (var name in blocks[b].definitions) {
+        if (!hasOwnName(valuesByName, name)) {
+          valuesByName[name] = [];
+          names.push(name);
+        }
+        valuesByName[name].push({
+          selector: blocks[b].selector,
+          value: blocks[b].definitions[name].value.replace(/^[^:]*:\s*/, ""),
+        });
+      }
+    }
+
+    for (var n = 0; n < names.length; n++) {
+      var entries = valuesByName[names[n]];
+      var disagree = entries.some(function (entry) {
+        return entry.value !== entries[0].value;
+      });
+      if (!disagree) {
+        continue;
+      }
+
+      warnings.push({
+        type: "conflict",
+        name: "--" + names[n],
+        message:
+          "--" +
+          names[n] +
+          " differs between selectors for the " +
+          modeNames[m] +
+          " mode: " +
+          entries
+            .map(function (entry) {
+              return entry.selector + " → " + entry.value;
+            })
+            .join(", "),
+        line: null,
+      });
+    }
+  }
+}
+
+// Selectors defining fewer than half of the entries @theme references are
+// treated as partial overrides and not expected to define every token
+function lintMissingModeValues(warnings, modeBlocks, themeTokens) {
+  var referencing = themeTokens.filter(function (token) {
+    return token.varReference !== null;
+  });
+  if (referencing.length === 0) {
+    return;
+  }
+
+  var completeBlocks = modeBlocks.filter(function (block) {
+    var defined = referencing.filter(function (token) {
+      return hasOwnName(block.definitions, token.varReference);
+    }).length;
+    return defined > 0 && defined * 2 >= referencing.length;
+  });
+
+  for (var i = 0; i < referencing.length; i++) {
+    var token = referencing[i];
+    var definedAnywhere = modeBlocks.some(function (block) {
+      return hasOwnName(block.definitions, token.varReference);
+    });
+
+    if (!definedAnywhere) {
+      warnings.push({
+        type: "missing",
+        name: token.property,
+        message:
+          token.property +
+          " references --" +
+          token.varReference +
+          ", which no selector defines; the token is skipped",
+        line: token.line,
+      });
+      continue;
+    }
+
+    var missing = completeBlocks
+      .filter(function (block) {
+        return !hasOwnName(block.definitions, token.varReference);
+      })
+      .map(function (block) {
+        return block.selector;
+      });
+
+    if (missing.length > 0) {
+      warnings.push({
+        type: "missing",
+        name: token.property,
+        message:
+          token.property +
+          " has no value in " +
+          missing.join(", ") +
+          " (--" +
+          token.varReference +
+          " is not defined there)",
+        line: token.line,
+      });
+    }
+  }
+}
+
+// Mode entries that neither @theme nor another mode entry references never
+// reach Figma
+function lintUnreferencedEntries(warnings, modeBlocks, themeTokens) {
+  var referenced = {};
+  for (var i = 0; i < themeTokens.length; i++) {
+    if (themeTokens[i].varReference) {
+      referenced[themeTokens[i].varReference] = true;
+    }
+  }
+
+  var referencePattern = /var\(\s*--([^)\s,]+)/g;
+  for (var b = 0; b < modeBlocks.length; b++) {
+    for (var name in modeBlocks[b].definitions) {
+      var value = modeBlocks[b].definitions[name].value;
+      var match;
+      referencePattern.lastIndex = 0;
+      while ((match = referencePattern.exec(value)) !== null) {
+        referenced[match[1]] = true;
+      }
+    }
+  }
+
+  var selectorsByName = {};
+  var names = [];
+  for (var k = 0; k < modeBlocks.length; k++) {
+    for (var entry in modeBlocks[k].definitions) {
+      if (hasOwnName(referenced, entry)) {
+        continue;
+      }
+      if (!hasOwnName(selectorsByName, entry)) {
+        selectorsByName[entry] = [];
+        names.push(entry);
+      }
+      selectorsByName[entry].push(modeBlocks[k].selector);
+    }
+  }
+
+  for (var n = 0; n < names.length; n++) {
+    warnings.push({
+      type: "unreferenced",
+      name: "--" + names[n],
+      message:
+        "--" +
+        names[n] +
+        " (" +
+        selectorsByName[names[n]].join(", ") +
+        ") is not referenced by @theme and is not synced",
+      line: null,
+    });
+  }
+}
+
+// ===== THEME TOKEN TYPES =====
+// Tailwind @theme namespaces and the Figma variable type each maps to.
+// Order matters: font-weight has to be tried before font.
+var THEME_NAMESPACES = [
+  { prefix: "color", resolvedType: "COLOR" },
+  { prefix: "spacing", resolvedType: "FLOAT" },
+  { prefix: "radius", resolvedType: "FLOAT" },
+  { prefix: "text", resolvedType: "FLOAT" },
+  { prefix: "font-weight", resolvedType: "FLOAT" },
+  { prefix: "font", resolvedType: "STRING" },
+  { prefix: "opacity", resolvedType: "FLOAT" },
+];
+
+function matchThemeNamespace(property) {
+  for (var i = 0; i < THEME_NAMESPACES.length; i++) {
+    var prefix = "--" + THEME_NAMESPACES[i].prefix;
+    if (property === prefix || property.indexOf(prefix + "-") === 0) {
+      return THEME_NAMESPACES[i];
+    }
+  }
+  return null;
+}
+
+// Converts a literal CSS value to a Figma variable value, or null when the
+// value cannot be represented. Colours become RGBA, lengths become px (rem/em × remBase), opacity
+// tokens become percentages (0.5 and 50% are both 50) and STRING tokens keep
+// the first family of a font stack, unquoted.
+function convertThemeLiteral(literal, resolvedType, variableName) {
+  var value = (literal || "").trim();
+
+  if (resolvedType === "COLOR") {
+    return parseCSSColor(value);
+  }
+
+  if (resolvedType === "STRING") {
+    var first = value.split(",")[0].trim();
+    return first.replace(/^(["'])([\s\S]*)\1$/, "$2") || null;
+  }
+
+  if (resolvedType !== "FLOAT") {
+    return null;
+  }
+
+  var match = value.match(/^(-?\d*\.?\d+)(px|rem|em|%)?$/);
+  if (!match) {
+    return null;
+  }
+
+  var number = parseFloat(match[1]);
+  var unit = match[2] || "";
+  var isOpacity = variableName.indexOf("opacity/") === 0;
+
+  if (unit === "rem" || unit === "em") {
+    return number * remBase;
+  }
+  if (isOpacity && unit === "") {
+    return number <= 1 ? number * 100 : number;
+  }
+  return number;
+}
+
+// ===== PARSE CSS COLORS =====
+// Parses a literal CSS colour into Figma RGBA (channels 0-1). Supports hex
+// (3/4/6/8 digits), rgb/rgba, hsl/hsla, oklab, oklch, color-mix() and a few
+// keywords. Returns null for anything else, including var() inside functions.
+var CSS_COLOR_KEYWORDS = {
+  transparent: { r: 0, g: 0, b: 0, a: 0 },
+  black: { r: 0, g: 0, b: 0, a: 1 },
+  white: { r: 1, g: 1, b: 1, a: 1 },
+};
+
+function parseCSSColor(value) {
+  var color = (value || "").trim().toLowerCase();
+
+  if (CSS_COLOR_KEYWORDS[color]) {
+    var keyword = CSS_COLOR_KEYWORDS[color];
+    return { r: keyword.r, g: keyword.g, b: keyword.b, a: keyword.a };
+  }
+
+  if (color.charAt(0) === "#") {
+    return parseHexColor(color.substring(1));
+  }
+
+  var fn = color.match(/^([a-z-]+)\(([\s\S]*)\)$/);
+  if (!fn) {
+    return null;
+  }
+
+  var name = fn[1];
+  var body = fn[2].trim();
+
+  if (name === "color-mix") {
+    return parseColorMix(body);
+  }
+
+  var args = parseColorArguments(body);
+  if (!args) {
+    return null;
+  }
+
+  var rgb = null;
+  if (name === "rgb" || name === "rgba") {
+    rgb = {
+      r: parseColorChannel(args.channels[0], 255),
+      g: parseColorChannel(args.channels[1], 255),
+      b: parseColorChannel(args.channels[2], 255),
+    };
+  } else if (name === "hsl" || name === "hsla") {
+    rgb = hslToRgb(
+      parseHue(args.channels[0]),
+      parseColorChannel(args.channels[1], 100),
+      parseColorChannel(args.channels[2], 100)
+    );
+  } else if (name === "oklab") {
+    rgb = oklabToRgb(
+      parseColorChannel(args.channels[0], 1),
+      parseColorNumber(args.channels[1], 0.4),
+      parseColorNumber(args.channels[2], 0.4)
+    );
+  } else if (name === "oklch") {
+    rgb = oklchToRgb(
+      parseColorChannel(args.channels[0], 1),
+      parseColorNumber(args.channels[1], 0.4),
+      parseHue(args.channels[2])
+    );
+  }
+
+  var alpha = args.alpha === null ? 1 : parseColorChannel(args.alpha, 1);
+
+  if (!rgb || isNaN(rgb.r) || isNaN(rgb.g) || isNaN(rgb.b) || isNaN(alpha)) {
+    return null;
+  }
+
+  return {
+    r: clampUnit(rgb.r),
+    g: clampUnit(rgb.g),
+    b: clampUnit(rgb.b),
+    a: clampUnit(alpha),
+  };
+}
+
+function parseHexColor(hex) {
+  if (!/^[0-9a-f]+$/.test(hex)) {
+    return null;
+  }
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex.replace(/./g, "$&$&");
+  }
+  if (hex.length !== 6 && hex.length !== 8) {
+    return null;
+  }
+
+  return {
+    r: parseInt(hex.substring(0, 2), 16) / 255,
+    g: parseInt(hex.substring(2, 4), 16) / 255,
+    b: parseInt(hex.substring(4, 6), 16) / 255,
+    a: hex.length === 8 ? parseInt(hex.substring(6, 8), 16) / 255 : 1,
+  };
+}
+
+// Accepts both "r, g, b, a" and "r g b / a"; returns three channels and alpha
+function parseColorArguments(body) {
+  if (body.indexOf("(") !== -1) {
+    return null;
+  }
+
+  var parts;
+  var alpha = null;
+  if (body.indexOf(",") !== -1) {
+    parts = body.split(",").map(function (part) {
+      return part.trim();
+    });
+    if (parts.length === 4) {
+      alpha = parts.pop();
+    }
+  } else {
+    var slash = body.split("/");
+    if (slash.length > 2) {
+      return null;
+    }
+    parts = slash[0].trim().split(/\s+/);
+    alpha = slash.length === 2 ? slash[1].trim() : null;
+  }
+
+  if (parts.length !== 3) {
+    return null;
+  }
+  return { channels: parts, alpha: alpha };
+}
+
+// Percentages map to 0-1; plain numbers are divided by their full-scale value
+function parseColorChannel(token, scale) {
+  if (token === "none") {
+    return 0;
+  }
+  if (/%$/.test(token)) {
+    return parseFloat(token) / 100;
+  }
+  return /^-?\d*\.?\d+$/.test(token) ? parseFloat(token) / scale : NaN;
+}
+
+// Plain numbers stay as they are; percentages are a share of percentScale
+function parseColorNumber(token, percentScale) {
+  if (token === "none") {
+    return 0;
+  }
+  if (/%$/.test(token)) {
+    return (parseFloat(token) / 100) * percentScale;
+  }
+  return /^-?\d*\.?\d+$/.test(token) ? parseFloat(token) : NaN;
+}
+
+function parseHue(token) {
+  if (token === "none") {
+    return 0;
+  }
+  var match = token.match(/^(-?\d*\.?\d+)(deg|turn|rad|grad)?$/);
+  if (!match) {
+    return NaN;
+  }
+  var hue = parseFloat(match[1]);
+  if (match[2] === "turn") {
+    hue = hue * 360;
+  } else if (match[2] === "rad") {
+    hue = (hue * 180) / Math.PI;
+  } else if (match[2] === "grad") {
+    hue = hue * 0.9;
+  }
+  return ((hue % 360) + 360) % 360;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  var chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  var huePrime = hue / 60;
+  var x = chroma * (1 - Math.abs((huePrime % 2) - 1));
+  var m = lightness - chroma / 2;
+  var rgb =
+    huePrime < 1
+      ? [chroma, x, 0]
+      : huePrime < 2
+      ? [x, chroma, 0]
+      : huePrime < 3
+      ? [0, chroma, x]
+      : huePrime < 4
+      ? [0, x, chroma]
+      : huePrime < 5
+      ? [x, 0, chroma]
+      : [chroma, 0, x];
+  return { r: rgb[0] + m, g: rgb[1] + m, b: rgb[2] + m };
+}
+
+function oklchToRgb(lightness, chroma, hue) {
+  var radians = (hue * Math.PI) / 180;
+  return oklabToRgb(
+    lightness,
+    chroma * Math.cos(radians),
+    chroma * Math.sin(radians)
+  );
+}
+
+function oklabToRgb(lightness, a, b) {
+  var linear = oklabToLinearRgb(lightness, a, b);
+  return {
+    r: linearToSrgb(linear.r),
+    g: linearToSrgb(linear.g),
+    b: linearToSrgb(linear.b),
+  };
+}
+
+function oklabToLinearRgb(lightness, a, b) {
+  var l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3);
+  var m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3);
+  var s = Math.pow(lightness - 0.0894841775 * a - 1.291485548 * b, 3);
+  return {
+    r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    b: -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  };
+}
+
+function linearRgbToOklab(r, g, b) {
+  var l = cubeRoot(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  var m = cubeRoot(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  var s = cubeRoot(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return {
+    l: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  };
+}
+
+// Math.cbrt is not available in every plugin sandbox
+function cubeRoot(value) {
+  return value < 0 ? -Math.pow(-value, 1 / 3) : Math.pow(value, 1 / 3);
+}
+
+function srgbToLinear(channel) {
+  return channel <= 0.04045
+    ? channel / 12.92
+    : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(channel) {
+  var sign = channel < 0 ? -1 : 1;
+  var value = Math.abs(channel);
+  return value <= 0.0031308
+    ? channel * 12.92
+    : sign * (1.055 * Math.pow(value, 1 / 2.4) - 0.055);
+}
+
+function clampUnit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+// Below this chroma an oklch colour counts as grey and its hue as powerless
+var ACHROMATIC_CHROMA = 0.0004;
+
+// color-mix(in <space>, <color> [<p>%], <color> [<p>%]) for the srgb,
+// srgb-linear, oklab and oklch spaces, mixing premultiplied colours as CSS does
+function parseColorMix(body) {
+  var args = splitTopLevelCommas(body);
+  if (args.length !== 3) {
+    return null;
+  }
+
+  var space = args[0].match(
+    /^in\s+([a-z-]+)(?:\s+(shorter|longer))?\s+hue$|^in\s+([a-z-]+)$/
+  );
+  var spaceName = space ? space[1] || space[3] : null;
+  if (["srgb", "srgb-linear", "oklab", "oklch"].indexOf(spaceName) === -1) {
+    return null;
+  }
+  var hueMethod = (space && space[2]) || "shorter";
+
+  var stops = [];
+  for (var i = 1; i < 3; i++) {
+    var stop = args[i].match(/^([\s\S]*?)(?:\s+(\d*\.?\d+)%)?$/);
+    var color = stop ? parseCSSColor(stop[1]) : null;
+    if (!color) {
+      return null;
+    }
+    stops.push({
+      color: color,
+      percent: stop[2] === undefined ? null : parseFloat(stop[2]),
+    });
+  }
+
+  var p1 = stops[0].percent;
+  var p2 = stops[1].percent;
+  if (p1 === null && p2 === null) {
+    p1 = 50;
+    p2 = 50;
+  } else if (p1 === null) {
+    p1 = 100 - p2;
+  } else if (p2 === null) {
+    p2 = 100 - p1;
+  }
+  var total = p1 + p2;
+  if (total <= 0) {
+    return null;
+  }
+  var weight = p2 / total;
+  var alphaScale = Math.min(total, 100) / 100;
+
+  var first = toMixSpace(stops[0].color, spaceName);
+  var second = toMixSpace(stops[1].color, spaceName);
+  var alpha = stops[0].color.a * (1 - weight) + stops[1].color.a * weight;
+
+  if (spaceName === "oklch") {
+    // A grey or fully transparent stop has no hue of its own and takes the
+    // other one's, so mixing with transparent or grey keeps the colour
+    var firstPowerless = first[1] < ACHROMATIC_CHROMA || stops[0].color.a === 0;
+    var secondPowerless =
+      second[1] < ACHROMATIC_CHROMA || stops[1].color.a === 0;
+    if (firstPowerless && !secondPowerless) {
+      first[2] = second[2];
+    } else if (secondPowerless && !firstPowerless) {
+      second[2] = first[2];
+    }
+
+    // Interpolate hue along the shorter or longer arc
+    var delta = second[2] - first[2];
+    if (hueMethod === "longer") {
+      if (delta > 0 && delta < 180) {
+        first[2] += 360;
+      } else if (delta > -180 && delta <= 0) {
+        second[2] += 360;
+      }
+    } else if (delta > 180) {
+      second[2] -= 360;
+    } else if (delta < -180) {
+      second[2] += 360;
+    }
+  }
+
+  var mixed = [];
+  for (var c = 0; c < 3; c++) {
+    // Hue is never premultiplied
+    if (spaceName === "oklch" && c === 2) {
+      mixed.push(first[c] * (1 - weight) + second[c] * weight);
+      continue;
+    }
+    var premultiplied =
+      first[c] * stops[0].color.a * (1 - weight) +
+      second[c] * stops[1].color.a * weight;
+    mixed.push(alpha > 0 ? premultiplied / alpha : 0);
+  }
+
+  var rgb = fromMixSpace(mixed, spaceName);
+  return {
+    r: clampUnit(rgb.r),
+    g: clampUnit(rgb.g),
+    b: clampUnit(rgb.b),
+    a: clampUnit(alpha * alphaScale),
+  };
+}
+
+function toMixSpace(color, spaceName) {
+  if (spaceName === "srgb") {
+    return [color.r, color.g, color.b];
+  }
+  var linear = [
+    srgbToLinear(color.r),
+    srgbToLinear(color.g),
+    srgbToLinear(color.b),
+  ];
+  if (spaceName === "srgb-linear") {
+    return linear;
+  }
+  var lab = linearRgbToOklab(linear[0], linear[1], linear[2]);
+  if (spaceName === "oklab") {
+    return [lab.l, lab.a, lab.b];
+  }
+  var hue = (Math.atan2(lab.b, lab.a) * 180) / Math.PI;
+  return [lab.l, Math.sqrt(lab.a * lab.a + lab.b * lab.b), (hue + 360) % 360];
+}
+
+function fromMixSpace(values, spaceName) {
+  if (spaceName === "srgb") {
+    return { r: values[0], g: values[1], b: values[2] };
+  }
+  if (spaceName === "srgb-linear") {
+    return {
+      r: linearToSrgb(values[0]),
+      g: linearToSrgb(values[1]),
+      b: linearToSrgb(values[2]),
+    };
+  }
+  if (spaceName === "oklab") {
+    return oklabToRgb(values[0], values[1], values[2]);
+  }
+  return oklchToRgb(values[0], values[1], values[2]);
+}
+
+function splitTopLevelCommas(body) {
+  var parts = [];
+  var depth = 0;
+  var current = "";
+  for (var i = 0; i < body.length; i++) {
+    var ch = body.charAt(i);
+    if (ch === "(") {
+      depth++;
+    } else if (ch === ")") {
+      depth--;
+    }
+    if (ch === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
 }
 
 // ===== PARSE VARIABLE DEFINITIONS FROM CSS BLOCK =====
-function parseVariableDefinitions(cssBlock) {
+// Maps custom property names to the variable they reference, with --alpha()
+// percentages folded into the _NN suffix. Other values are kept as literals.
+function parseVariableDefinitions(declarations) {
   var variables = {};
   var varRegex =
-    /--([^:]+):\s*(?:--alpha\(\s*)?var\(--([^)]+)\)(?:\s*\/\s*(\d+)%\s*\))?/g;
-  var match;
+    /^(?:--alpha\(\s*)?var\(--([^)]+)\)(?:\s*\/\s*([\d.]+%?)\s*\))?$/;
+
+  for (var i = 0; i < declarations.length; i++) {
+    var declaration = declarations[i];
+    if (declaration.property.indexOf("--") !== 0) {
+      continue;
+    }
+
+    var varName = declaration.property.substring(2);
+    var match = declaration.value.match(varRegex);
+    var reference = null;
+
+    if (match) {
+      reference = match[1].trim();
+
+      // Handle opacity values; amounts the policy rejects stay literals and
+      // are reported as unsupported values
+      if (match[2]) {
+        var opacity = parseOpacityAmount(match[2]);
+        if (opacity === null) {
+          match = null;
+          reference = null;
+        } else if (opacity < 100 || !getOpacityPolicy().stripHundred) {
+          reference = reference + formatOpacitySuffix(opacity);
+        }
+      }
+    }
+
+    variables[varName] = {
+      reference: reference,
+      literal: match ? null : declaration.value,
+      value: declaration.property + ": " + declaration.value,
+    };
+  }
+
+  return variables;
+}
+
+// Parses a single --alpha(var(--x) / N%) value into the generated variable name,
+// its base colour and the opacity. Returns null for any other value, and for
+// amounts that need no variable (100% with _100 stripped) or are rejected.
+function parseAlphaReference(cssValue) {
+  var match = (cssValue || "").match(
+    /--alpha\(\s*var\(--([^)]+)\)\s*\/\s*([\d.]+%?)\s*\)/
+  );
+  var opacity = match ? parseOpacityAmount(match[2]) : null;
+  if (
+    opacity === null ||
+    (opacity === 100 && getOpacityPolicy().stripHundred)
+  ) {
+    return null;
+  }
+
+  var base = match[1].trim();
+  return {
+    reference: convertCSSVariableToFigmaName(
+      base + formatOpacitySuffix(opacity)
+    ),
+    baseReference: convertCSSVariableToFigmaName(base),
+    opacity: opacity,
+  };
+}
+
+// ===== OPACITY SUFFIX POLICY =====
+// How --alpha() amounts become _NN suffixes and which suffixes count as
+// opacity steps, stored in the document and shared by parsing, lookups,
+// export and the audit:
+//   padding       minimum digits of the suffix (2: _05)
+//   decimals      round (7.5% → _08), keep (_07_5) or reject fractional percentages
+//   steps         allowed percentages; empty allows any value up to 100
+//   offGrid       snap to the nearest step or reject values between steps
+//   stripHundred  _100 is the base colour itself
+var OPACITY_POLICY_PLUGIN_DATA_KEY = "opacityPolicy";
+
+var DEFAULT_OPACITY_POLICY = {
+  padding: 2,
+  decimals: "round",
+  steps: [],
+  offGrid: "snap",
+  stripHundred: true,
+};
+
+var opacityPolicy = null;
+
+function getOpacityPolicy() {
+  if (!opacityPolicy) {
+    opacityPolicy = loadOpacityPolicy();
+  }
+  return opacityPolicy;
+}
+
+function loadOpacityPolicy() {
+  var stored = figma.root.getPluginData(OPACITY_POLICY_PLUGIN_DATA_KEY);
+  if (!stored) {
+    return normalizeOpacityPolicy({});
+  }
+
+  try {
+    return normalizeOpacityPolicy(JSON.parse(stored));
+  } catch (error) {
+    console.warn("⚠️ Stored opacity policy is unreadable:", error);
+    return normalizeOpacityPolicy({});
+  }
+}
+
+function saveOpacityPolicy(policy) {
+  try {
+    opacityPolicy = normalizeOpacityPolicy(policy || {});
+    figma.root.setPluginData(
+      OPACITY_POLICY_PLUGIN_DATA_KEY,
+      JSON.stringify(opacityPolicy)
+    );
+    console.log("💾 Saved opacity policy:", opacityPolicy);
+    figma.ui.postMessage({
+      type: "opacity-policy-saved",
+      success: true,
+      policy: opacityPolicy,
+    });
+  } catch (error) {
+    console.error("❌ Could not save opacity policy:", error);
+    figma.ui.postMessage({
+      type: "opacity-policy-saved",
+      success: false,
+      message: "Error saving opacity steps: " + error.message,
+    });
+  }
+}
+
+// Fills in defaults and drops values the lookups could not use
+function normalizeOpacityPolicy(policy) {
+  var padding = parseInt(policy.padding, 10);
+  var steps = (Array.isArray(policy.steps) ? policy.steps : [])
+    .map(function (step) {
+      return parseFloat(step);
+    })
+    .filter(function (step, index, all) {
+      return step >= 0 && step <= 100 && all.indexOf(step) === index;
+    })
+    .sort(function (a, b) {
+      return a - b;
+    });
+
+  return {
+    padding:
+      padding >= 1 && padding <= 3 ? padding : DEFAULT_OPACITY_POLICY.padding,
+    decimals:
+      ["round", "keep", "reject"].indexOf(policy.decimals) !== -1
+        ? policy.decimals
+        : DEFAULT_OPACITY_POLICY.decimals,
+    steps: steps,
+    offGrid:
+      policy.offGrid === "reject" ? "reject" : DEFAULT_OPACITY_POLICY.offGrid,
+    stripHundred:
+      policy.stripHundred === undefined
+        ? DEFAULT_OPACITY_POLICY.stripHundred
+        : !!policy.stripHundred,
+  };
+}
+
+// Reads an --alpha() amount ("50%", "7.5%", "0.1", ".5") as a percentage,
+// or null when it is out of range or the policy rejects it
+function parseOpacityAmount(amount) {
+  var match = String(amount)
+    .trim()
+    .match(/^(\d*\.?\d+)(%?)$/);
+  if (!match) {
+    return null;
+  }
+  return applyOpacityPolicy(parseFloat(match[1]) * (match[2] ? 1 : 100));
+}
+
+function applyOpacityPolicy(percent) {
+  var policy = getOpacityPolicy();
+  // 0.07 * 100 is 7.000000000000001
+  var value = Math.round(percent * 1000) / 1000;
+  if (!(value >= 0 && value <= 100)) {
+    return null;
+  }
+
+  if (value % 1 !== 0) {
+    if (policy.decimals === "reject") {
+      return null;
+    }
+    if (policy.decimals === "round") {
+      value = Math.round(value);
+    }
+  }
+
+  if (!isOpacityStep(value)) {
+    if (policy.offGrid === "reject") {
+      return null;
+    }
+    value = policy.steps.reduce(function (nearest, step) {
+      return Math.abs(step - value) < Math.abs(nearest - value)
+        ? step
+        : nearest;
+    });
+  }
+
+  return value;
+}
+
+// 100 is always allowed: it is the base colour
+function isOpacityStep(value) {
+  var steps = getOpacityPolicy().steps;
+  return value === 100 || steps.length === 0 || steps.indexOf(value) !== -1;
+}
+
+// Builds the _NN suffix for a percentage, padding the whole part (_05).
+// Figma does not allow "." in variable names, so kept decimals are written
+// after a second underscore: 7.5 → _07_5
+function formatOpacitySuffix(opacity) {
+  var parts = String(opacity).split(".");
+  while (parts[0].length < getOpacityPolicy().padding) {
+    parts[0] = "0" + parts[0];
+  }
+  return "_" + parts.join("_");
+}
+
+// Splits name_NN (or name_NN_N with kept decimals) into its base name and
+// percentage, or returns null when the suffix is not an opacity step under
+// the policy. With kept decimals x_10_5 reads as 10.5% of x, not 5% of x_10.
+function parseOpacitySuffix(name) {
+  var match =
+    getOpacityPolicy().decimals === "keep"
+      ? name.match(/^(.+?)_(\d+)(?:_(\d+))?$/)
+      : name.match(/^(.+)_(\d+)$/);
+  if (!match) {
+    return null;
+  }
+
+  var opacity = parseFloat(match[2] + (match[3] ? "." + match[3] : ""));
+  if (
+    opacity > 100 ||
+    (!isOpacityStep(opacity) && getOpacityPolicy().offGrid === "reject")
+  ) {
+    return null;
+  }
+  return { base: match[1], opacity: opacity };
+}
+
+// The name a reference has under the policy: _5 → _05, and x_100 → x when
+// _100 is the base colour
+function normalizeOpacityReference(name) {
+  var suffix = parseOpacitySuffix(name);
+  if (!suffix) {
+    return name;
+  }
+  if (suffix.opacity === 100 && getOpacityPolicy().stripHundred) {
+    return suffix.base;
+  }
+  return suffix.base + formatOpacitySuffix(suffix.opacity);
+}
+
+// ===== CONVERT CSS VARIABLE NAME TO FIGMA FORMAT =====
+// Used for @theme names and for the references in mode blocks alike, so both
+// follow the same naming rules. Names without a type are colour references.
+function convertCSSVariableToFigmaName(cssVariableName, resolvedType) {
+  // Remove -- prefix if present
+  var figmaName = cssVariableName;
+  if (figmaName.indexOf("--") === 0) {
+    figmaName = figmaName.substring(2);
+  }
+
+  return applyNamingRules(
+    figmaName,
+    resolvedType || "COLOR",
+    namingRules || DEFAULT_NAMING_RULES
+  );
+}
+
+// ===== NAMING RULES =====
+// Rules run top to bottom on the name without its leading --. A rule with a
+// resolvedType only applies to tokens of that type.
+//   strip-prefix { value }             removes value from the start
+//   add-prefix   { value }             adds value unless already there
+//   split        { separator, keep }   turns runs of separator into /, except
+//                                      inside the compound words in keep
+//   replace      { pattern, replacement }  regular expression replace
+//   overrides    { entries: [{ from, to }] }  exact name → Figma name; a match
+//                                      is final and skips the rules below
+//   case         { transform }         lower, upper or capitalize (each segment)
+var NAMING_RULE_TYPES = [
+  "strip-prefix",
+  "add-prefix",
+  "split",
+  "replace",
+  "overrides",
+  "case",
+];
+
+// The conversion used before rules were configurable:
+// --text-sm--line-height → text/sm/line/height, --brand-500 → color/brand/500
+var DEFAULT_NAMING_RULES = [
+  { type: "split", separator: "-", keep: [] },
+  { type: "add-prefix", value: "color/", resolvedType: "COLOR" },
+];
+
+function applyNamingRules(name, resolvedType, rules) {
+  var result = name;
+
+  for (var i = 0; i < rules.length; i++) {
+    var rule = rules[i];
+    if (rule.resolvedType && rule.resolvedType !== resolvedType) {
+      continue;
+    }
+
+    if (rule.type === "strip-prefix") {
+      if (rule.value && result.indexOf(rule.value) === 0) {
+        result = result.substring(rule.value.length);
+      }
+    } else if (rule.type === "add-prefix") {
+      if (rule.value && result.indexOf(rule.value) !== 0) {
+        result = rule.value + result;
+      }
+    } else if (rule.type === "split") {
+      result = splitNameSegments(result, rule.separator, rule.keep || []);
+    } else if (rule.type === "replace") {
+      result = result.replace(
+        new RegExp(rule.pattern, "g"),
+        rule.replacement || ""
+      );
+    } else if (rule.type === "overrides") {
+      var entries = rule.entries || [];
+      for (var e = 0; e < entries.length; e++) {
+        if (entries[e].from === result) {
+          return entries[e].to;
+        }
+      }
+    } else if (rule.type === "case") {
+      result = applyNameCase(result, rule.transform);
+    }
+  }
+
+  return result;
+}
+
+// color-brand-primary-hover with keep ["brand-primary"] → color/brand-primary/hover
+function splitNameSegments(name, separator, keep) {
+  if (!separator) {
+    return name;
+  }
+
+  var parts = name.split(separator).filter(function (part) {
+    return part !== "";
+  });
+  var keepParts = keep.map(function (word) {
+    return word.split(separator);
+  });
+  var segments = [];
+
+  for (var i = 0; i < parts.length; i++) {
+    var matched = null;
+    for (var k = 0; k < keepParts.length && !matched; k++) {
+      var candidate = keepParts[k];
+      if (
+        candidate.length > 1 &&
+        parts.slice(i, i + candidate.length).join(separator) ===
+          candidate.join(separator)
+      ) {
+        matched = candidate;
+      }
+    }
+
+    if (matched) {
+      segments.push(matched.join(separator));
+      i += matched.length - 1;
+    } else {
+      segments.push(parts[i]);
+    }
+  }
+
+  return segments.join("/");
+}
+
+function applyNameCase(name, transform) {
+  if (transform === "lower") {
+    return name.toLowerCase();
+  }
+  if (transform === "upper") {
+    return name.toUpperCase();
+  }
+  if (transform === "capitalize") {
+    return name
+      .split("/")
+      .map(function (segment) {
+        return segment.charAt(0).toUpperCase() + segment.slice(1);
+      })
+      .join("/");
+  }
+  return name;
+}
+
+// Undoes the rules for export, last rule first: prefixes added are removed
+// and stripped ones added back, segments are joined with the split separator
+// and an override maps its Figma name back to its CSS name. Replace rules
+// cannot be undone and are skipped; case rules lower-case the name.
+function reverseNamingRules(figmaName, resolvedType, rules) {
+  var applies = function (rule) {
+    return !rule.resolvedType || rule.resolvedType === resolvedType;
+  };
+
+  // An override is final, so the rules after it never ran on that name
+  var result = figmaName;
+  var last = rules.length - 1;
+  for (var o = 0; o < rules.length && last === rules.length - 1; o++) {
+    if (rules[o].type !== "overrides" || !applies(rules[o])) {
+      continue;
+    }
+    var entries = rules[o].entries || [];
+    for (var e = 0; e < entries.length; e++) {
+      if (entries[e].to === figmaName) {
+        result = entries[e].from;
+        last = o - 1;
+        break;
+      }
+    }
+  }
+
+  for (var i = last; i >= 0; i--) {
+    var rule = rules[i];
+    if (!applies(rule)) {
+      continue;
+    }
+
+    if (rule.type === "strip-prefix") {
+      if (rule.value && result.indexOf(rule.value) !== 0) {
+        result = rule.value + result;
+      }
+    } else if (rule.type === "add-prefix") {
+      if (rule.value && result.indexOf(rule.value) === 0) {
+        result = result.substring(rule.value.length);
+      }
+    } else if (rule.type === "split") {
+      result = result.split("/").join(rule.separator);
+    } else if (rule.type === "case") {
+      result = result.toLowerCase();
+    }
+  }
+
+  return result;
+}
+
+// Throws with the rule number so a bad rule is reported instead of
+// producing half-converted names
+function validateNamingRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error("Naming rules must be a list");
+  }
+
+  for (var i = 0; i < rules.length; i++) {
+    var rule = rules[i] || {};
+    var label = "Naming rule " + (i + 1) + " (" + rule.type + "): ";
+    if (NAMING_RULE_TYPES.indexOf(rule.type) === -1) {
+      throw new Error(label + "unknown rule type");
+    }
+    if (rule.type === "split" && !rule.separator) {
+      throw new Error(label + "a separator is required");
+    }
+    if (rule.type === "replace") {
+      if (!rule.pattern) {
+        throw new Error(label + "a pattern is required");
+      }
+      try {
+        new RegExp(rule.pattern, "g");
+      } catch (error) {
+        throw new Error(label + error.message);
+      }
+    }
+  }
+}
+
+// Converts sample names with unsaved rules for the live preview in the UI
+function previewNamingRules(rules, samples) {
+  try {
+    validateNamingRules(rules);
+    var results = [];
+    for (var i = 0; i < samples.length; i++) {
+      var sample = samples[i].trim();
+      if (!sample) {
+        continue;
+      }
+      var cssName = sample.indexOf("--") === 0 ? sample : "--" + sample;
+      var namespace = matchThemeNamespace(cssName);
+      var resolvedType = namespace ? namespace.resolvedType : "COLOR";
+      results.push({
+        input: sample,
+        resolvedType: resolvedType,
+        output: applyNamingRules(cssName.substring(2), resolvedType, rules),
+      });
+    }
+
+    figma.ui.postMessage({
+      type: "naming-preview",
+      success: true,
+      results: results,
+    });
+  } catch (error) {
+    figma.ui.postMessage({
+      type: "naming-preview",
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+// ===== CREATE VARIABLES FROM CSS MAPPINGS =====
+function createVariablesFromCSS(
+  variablesToCreate,
+  selectedSourceCollectionId,
+  sourceCollectionType,
+  collectionChoice,
+  existingCollectionId,
+  generateOptions,
+  modeMappings,
+  syncOptions
+) {
+  try {
+    console.log("🚀 Starting variable creation process...");
+    console.log("Initial parameters:", {
+      variablesToCreate: variablesToCreate.length,
+      selectedSourceCollectionId: selectedSourceCollectionId,
+      sourceCollectionType: sourceCollectionType,
+      collectionChoice: collectionChoice,
+      existingCollectionId: existingCollectionId,
+      modeMappings: modeMappings,
+      hasJsonData: uploadedJsonData ? "Yes" : "No",
+    });
+
+    // Initial context log
+    var variablesList = [];
+    for (var i = 0; i < variablesToCreate.length; i++) {
+      var v = variablesToCreate[i];
+      variablesList.push({
+        name: v.variableName,
+        modes: v.modes,
+      });
+    }
+
+    console.log("📊 Variable Creation Context:", {
+      totalVariables: variablesToCreate.length,
+      sourceId: selectedSourceCollectionId,
+      sourceType: sourceCollectionType,
+      targetId: existingCollectionId,
+      hasJsonData: uploadedJsonData
+        ? "Yes (" + Object.keys(uploadedJsonData).length + " variables)"
+        : "No",
+      variables: variablesList,
+    });
+
+    // Find source collection from our loaded data
+    var sourceCollection = null;
+    var targetCollection = null;
+
+    // Get collections from our loaded data
+    if (collectionsLoaded) {
+      console.log("🔍 Collections are loaded, proceeding with lookup...");
+
+      // Find source collection
+      var allCollections = figma.variables.getLocalVariableCollections();
+      console.log("📚 Found local collections:", allCollections.length);
+
+      var localCollections = allCollections.map(function (collection) {
+        console.log("Processing local collection:", collection.name);
+        var variables = figma.variables
+          .getLocalVariables()
+          .filter(function (v) {
+            return v.variableCollectionId === collection.id;
+          });
+        return createCollectionInfo(collection, variables, "local");
+      });
+
+      // Get library collections from the same catalog the listing used
+      console.log("🌐 Loading library collections...");
+      loadLibraryCatalog(false)
+        .then(getLibraryCollectionInfos)
+        .then(function (libraryInfo) {
+          console.log("✅ Library collections processed");
+          var validLibraries = libraryInfo.filter(function (lib) {
+            return lib !== null;
+          });
+          console.log("✅ Valid libraries:", validLibraries.length);
+          var allCollections = validLibraries.concat(localCollections);
+
+          // Find our collections
+          sourceCollection = allCollections.find(function (c) {
+            return c.id === selectedSourceCollectionId;
+          });
+          targetCollection = localCollections.find(function (c) {
+            return c.id === existingCollectionId;
+          });
+
+          console.log("🎯 Collection lookup results:", {
+            sourceFound: !!sourceCollection,
+            targetFound: !!targetCollection,
+            sourceId: selectedSourceCollectionId,
+            targetId: existingCollectionId,
+          });
+
+          if (!sourceCollection || !targetCollection) {
+            throw new Error(
+              !sourceCollection
+                ? "Source collection not found"
+                : "Target collection not found"
+            );
+          }
+
+          // Log collection details
+          console.log("📊 Collections found:", {
+            source: {
+              id: sourceCollection.id,
+              type: sourceCollection.type,
+              name: sourceCollection.displayName,
+              variables: sourceCollection.variableCount,
+              modes: sourceCollection.modeCount,
+            },
+            target: {
+              id: targetCollection.id,
+              name:
+                targetCollection.displayName || targetCollection.collectionName,
+              variables: targetCollection.variableCount,
+              modes: targetCollection.modeCount,
+            },
+          });
+
+          // Create missing _NN variables before the mapping looks them up
+          return generateMissingOpacityVariables(
+            variablesToCreate,
+            sourceCollection,
+            sourceCollectionType,
+            generateOptions,
+            modeMappings
+          ).then(function () {
+            console.log("🚀 Starting variable processing...");
+            syncRunContext = {
+              source: sourceCollection.displayName,
+              target:
+                targetCollection.collectionName || targetCollection.displayName,
+              targetCollectionId: targetCollection.id,
+            };
+            // Process variables with full context
+            processVariables(
+              variablesToCreate,
+              sourceCollection,
+              targetCollection,
+              sourceCollectionType,
+              collectionChoice,
+              modeMappings,
+              syncOptions,
+              [], // created
+              [], // updated
+              [] // failed
+            );
+          });
+        })
+        .catch(function (error) {
+          console.error("❌ Collection Loading Error:", {
+            error: error.message,
+            stack: error.stack,
+            context: {
+              sourceId: selectedSourceCollectionId,
+              targetId: existingCollectionId,
+            },
+          });
+          figma.ui.postMessage({
+            type: "creation-complete",
+            success: false,
+            message: error.message,
+          });
+        });
+    } else {
+      console.error("❌ Collections not loaded!");
+      throw new Error("Collections not loaded. Please refresh and try again.");
+    }
+  } catch (error) {
+    console.error("❌ Variable Creation Error:", {
+      error: error.message,
+      stack: error.stack,
+      context: {
+        variableCount: variablesToCreate.length,
+        sourceId: selectedSourceCollectionId,
+        targetId: existingCollectionId,
+      },
+    });
+    figma.ui.postMessage({
+      type: "creation-complete",
+      success: false,
+      message: "Error creating variables: " + error.message,
+    });
+  }
+}
+
+// ===== PROCESS VARIABLES (MAIN LOGIC) =====
+function processVariables(
+  variablesToCreate,
+  sourceCollection,
+  targetCollection,
+  sourceCollectionType,
+  collectionChoice,
+  modeMappings,
+  syncOptions,
+  created,
+  updated,
+  failed
+) {
+  var reportError = function (error) {
+    console.error("❌ Variable Processing Error:", {
+      error: error.message,
+      stack: error.stack,
+      context: {
+        sourceCollection: sourceCollection.id,
+        targetCollection: targetCollection.id,
+        variableCount: variablesToCreate.length,
+      },
+    });
+    figma.ui.postMessage({
+      type: "creation-complete",
+      success: false,
+      message: "Error processing variables: " + error.message,
+    });
+  };
+
+  try {
+    console.log("🎯 Starting processVariables...");
+    prunedVariableResults = [];
+    appliedModeChanges = [];
+    // Get or create target collection
+    var figmaTargetCollection = figma.variables.getVariableCollectionById(
+      targetCollection.figmaId || targetCollection.id
+    );
+
+    if (!figmaTargetCollection) {
+      console.error("❌ Target collection not found in Figma");
+      throw new Error("Target collection not found in Figma");
+    }
+    console.log("✅ Found target collection:", figmaTargetCollection.name);
+
+    // Setup modes
+    console.log("🎨 Setting up collection modes...");
+    var modeTargets = setupCollectionModes(figmaTargetCollection, modeMappings);
+
+    console.log("✅ Mode Configuration:", {
+      modes: modeTargets,
+      collection: figmaTargetCollection.name,
+    });
+
+    // Get existing variables in target collection
+    var existingVariables = {};
+    var localVariables = figma.variables.getLocalVariables();
+    for (var i = 0; i < localVariables.length; i++) {
+      var v = localVariables[i];
+      if (v.variableCollectionId === figmaTargetCollection.id) {
+        existingVariables[v.name] = v;
+      }
+    }
+
+    console.log("📊 Existing Variables:", {
+      count: Object.keys(existingVariables).length,
+      names: Object.keys(existingVariables),
+    });
+
+    // Sync mode: drop confirmed variables that are no longer in the CSS
+    var pruning = Promise.resolve([]);
+    if (syncOptions && syncOptions.enabled) {
+      var staleVariables = findConfirmedStaleVariables(
+        syncOptions.confirmed || [],
+        variablesToCreate,
+        existingVariables
+      );
+      pruning = pruneStaleVariables(staleVariables, syncOptions.action, failed);
+      for (var p = 0; p < staleVariables.length; p++) {
+        delete existingVariables[staleVariables[p].name];
+      }
+    }
+
+    // Sources are processed once the pruned variables' snapshots are stored
+    pruning
+      .then(function (removed) {
+        prunedVariableResults = removed;
+        return processSourceVariables(
+          variablesToCreate,
+          sourceCollection,
+          sourceCollectionType,
+          figmaTargetCollection,
+          existingVariables,
+          modeTargets,
+          created,
+          updated,
+          failed
+        );
+      })
+      .catch(reportError);
+  } catch (error) {
+    reportError(error);
+  }
+}
+
+// Looks up the source variables (library, keys JSON or local) and creates or
+// updates the target variables; library lookups resolve when done
+function processSourceVariables(
+  variablesToCreate,
+  sourceCollection,
+  sourceCollectionType,
+  figmaTargetCollection,
+  existingVariables,
+  modeTargets,
+  created,
+  updated,
+  failed
+) {
+  // Load source variables based on type
+  if (sourceCollectionType === "library") {
+    if (uploadedJsonData) {
+      console.log("🚀 Using JSON data for variable lookup");
+      console.log("JSON data size:", Object.keys(uploadedJsonData).length);
+      processLibraryVariablesWithJson(
+        variablesToCreate,
+        uploadedJsonData,
+        figmaTargetCollection,
+        existingVariables,
+        modeTargets,
+        created,
+        updated,
+        failed
+      );
+    } else {
+      console.log("🐌 Using standard method for variable lookup");
+      return getLibraryCatalogVariables(sourceCollection.id)
+        .then(function (libraryVariables) {
+          var libVarList = [];
+          for (var i = 0; i < libraryVariables.length; i++) {
+            libVarList.push({
+              name: libraryVariables[i].name,
+              key: libraryVariables[i].key,
+            });
+          }
+
+          console.log("Library Variables:", {
+            count: libraryVariables.length,
+            variables: libVarList,
+            sourceKey: sourceCollection.id,
+          });
+
+          // Create variable map
+          var sourceVariableMap = {};
+          for (var i = 0; i < libraryVariables.length; i++) {
+            sourceVariableMap[libraryVariables[i].name] = libraryVariables[i];
+          }
+          addGeneratedOpacityVariables(sourceVariableMap);
+
+          // Process with loaded variables
+          processLibraryVariables(
+            variablesToCreate,
+            sourceVariableMap,
+            figmaTargetCollection,
+            existingVariables,
+            modeTargets,
+            created,
+            updated,
+            failed
+          );
+        })
+        .catch(function (error) {
+          console.error("Library Variable Loading Error:", {
+            error: error.message,
+            stack: error.stack,
+            context: {
+              sourceCollection: sourceCollection.id,
+              variableCount: variablesToCreate.length,
+            },
+          });
+          throw error;
+        });
+    }
+  } else {
+    console.log("📝 Processing local variables...");
+    // Load local variables
+    var sourceVariables = figma.variables
+      .getLocalVariables()
+      .filter(function (v) {
+        return v.variableCollectionId === sourceCollection.id;
+      });
+
+    var localVarList = [];
+    for (var i = 0; i < sourceVariables.length; i++) {
+      localVarList.push({
+        name: sourceVariables[i].name,
+        id: sourceVariables[i].id,
+      });
+    }
+
+    console.log("Local Variables:", {
+      count: sourceVariables.length,
+      variables: localVarList,
+    });
+
+    // Create variable map
+    var sourceVariableMap = {};
+    for (var i = 0; i < sourceVariables.length; i++) {
+      sourceVariableMap[sourceVariables[i].name] = sourceVariables[i];
+    }
+    addGeneratedOpacityVariables(sourceVariableMap);
+
+    // Process with loaded variables
+    processLocalVariables(
+      variablesToCreate,
+      sourceVariableMap,
+      figmaTargetCollection,
+      existingVariables,
+      modeTargets,
+      created,
+      updated,
+      failed
+    );
+
+    sendResults(created, updated, failed, variablesToCreate.length);
+  }
+}
+
+// ===== SETUP COLLECTION MODES =====
+// Works out which modes each selector mapping needs without touching the
+// collection. A collection that still has its single default mode gets it
+// renamed to the first mapped mode; any other missing mode is added. Modes to
+// be added get a "new:<name>" placeholder id.
+function planCollectionModes(collection, modeMappings) {
+  if (!modeMappings || modeMappings.length === 0) {
+    throw new Error("No CSS selectors are mapped to Figma modes");
+  }
+
+  var modes = collection.modes.map(function (mode) {
+    return { modeId: mode.modeId, name: mode.name };
+  });
+  var changes = [];
+
+  var findMode = function (modeName) {
+    var wanted = modeName.toLowerCase();
+    for (var i = 0; i < modes.length; i++) {
+      if (modes[i].name.toLowerCase() === wanted) {
+        return modes[i].modeId;
+      }
+    }
+    return null;
+  };
+
+  if (modes.length === 1) {
+    var anyExisting = modeMappings.some(function (mapping) {
+      return !!findMode(mapping.modeName);
+    });
+    if (!anyExisting) {
+      changes.push({
+        type: "rename",
+        modeId: modes[0].modeId,
+        from: modes[0].name,
+        to: modeMappings[0].modeName,
+      });
+      modes[0].name = modeMappings[0].modeName;
+    }
+  }
+
+  var modeTargets = [];
+  for (var i = 0; i < modeMappings.length; i++) {
+    var mapping = modeMappings[i];
+    var modeId = findMode(mapping.modeName);
+    if (!modeId) {
+      modeId = "new:" + mapping.modeName.toLowerCase();
+      modes.push({ modeId: modeId, name: mapping.modeName });
+      changes.push({ type: "add", modeId: modeId, to: mapping.modeName });
+    }
+    modeTargets.push({
+      selector: mapping.selector,
+      modeName: mapping.modeName,
+      modeId: modeId,
+    });
+  }
+
+  return { modeTargets: modeTargets, changes: changes };
+}
+
+// Applies the mode plan and returns [{selector, modeName, modeId}] in mapping order
+function setupCollectionModes(collection, modeMappings) {
+  var plan = planCollectionModes(collection, modeMappings);
+  var addedModeIds = {};
+
+  for (var i = 0; i < plan.changes.length; i++) {
+    var change = plan.changes[i];
+    if (change.type === "rename") {
+      console.log("✏️ Renaming mode:", change.from + " → " + change.to);
+      collection.renameMode(change.modeId, change.to);
+      appliedModeChanges.push(change);
+    } else {
+      console.log("➕ Adding mode:", change.to);
+      addedModeIds[change.modeId] = collection.addMode(change.to);
+      appliedModeChanges.push({
+        type: "add",
+        modeId: addedModeIds[change.modeId],
+        to: change.to,
+      });
+    }
+  }
+
+  return plan.modeTargets.map(function (target) {
+    return {
+      selector: target.selector,
+      modeName: target.modeName,
+      modeId: addedModeIds[target.modeId] || target.modeId,
+    };
+  });
+}
+
+// Picks the CSS value for each target mode, falling back to a literal @theme
+// value. When several selectors map to the same mode the later one wins.
+// Returns {references, error}; literal entries carry the converted value.
+function getModeReferences(item, modeTargets) {
+  var byModeId = {};
+  var modeOrder = [];
+
+  for (var i = 0; i < modeTargets.length; i++) {
+    var target = modeTargets[i];
+    if (!(target.modeId in byModeId)) {
+      byModeId[target.modeId] = null;
+      modeOrder.push(target);
+    }
+
+    var modeValue =
+      (item.modes ? item.modes[target.selector] : null) ||
+      byModeId[target.modeId] ||
+      item.themeValue;
+    if (modeValue && modeValue.modeId === undefined) {
+      modeValue = {
+        modeId: target.modeId,
+        modeName: target.modeName,
+        selector: target.selector,
+        reference: modeValue.reference || null,
+        literal: modeValue.reference ? null : modeValue.literal,
+      };
+    }
+    byModeId[target.modeId] = modeValue || null;
+  }
+
+  var references = [];
+  var missing = [];
+  var invalid = [];
+  for (var j = 0; j < modeOrder.length; j++) {
+    var reference = byModeId[modeOrder[j].modeId];
+    if (!reference) {
+      missing.push(modeOrder[j].modeName);
+      continue;
+    }
+
+    if (!reference.reference) {
+      reference.value = convertThemeLiteral(
+        reference.literal,
+        item.resolvedType || "COLOR",
+        item.variableName
+      );
+      if (reference.value === null) {
+        invalid.push(reference.modeName + " ('" + reference.literal + "')");
+      }
+    }
+    references.push(reference);
+  }
+
+  var error = null;
+  if (missing.length > 0) {
+    error = "No value for mode(s) " + missing.join(", ");
+  } else if (invalid.length > 0) {
+    error =
+      "Unsupported " +
+      (item.resolvedType || "COLOR") +
+      " value for " +
+      invalid.join(", ");
+  }
+
+  return { references: references, error: error };
+}
+
+// Shapes a created/updated/failed entry with one line per mapped mode
+function createVariableResult(item, modeReferences, sourceVars, error) {
+  var result = {
+    variableName: item.variableName,
+    resolvedType: item.resolvedType || "COLOR",
+    modeReferences: (modeReferences || []).map(function (ref, index) {
+      return {
+        modeName: ref.modeName,
+        selector: ref.selector,
+        reference: ref.reference,
+        literal: ref.literal,
+        value: ref.value,
+        sourceVar:
+          sourceVars && sourceVars[index] ? sourceVars[index].name : null,
+      };
+    }),
+  };
+  if (error) {
+    result.error = error;
+  }
+  return result;
+}
+
+// Failed results for a reference nothing resolved carry the closest source
+// names, so the UI can offer them and re-run the row
+function createMissingSourceResult(
+  item,
+  modeReferences,
+  missingRef,
+  candidateNames
+) {
+  var result = createVariableResult(
+    item,
+    modeReferences,
+    null,
+    missingRef.modeName + " source variable not found"
+  );
+  result.missingReference = createMissingReference(missingRef, candidateNames);
+  return result;
+}
+
+function createMissingReference(modeReference, candidateNames) {
+  return {
+    selector: modeReference.selector,
+    modeName: modeReference.modeName,
+    reference: modeReference.reference,
+    suggestions: suggestSourceVariables(
+      modeReference.reference,
+      candidateNames
+    ),
+  };
+}
+
+// Existing variables are reused only when their type matches the token
+function assertVariableType(variable, item) {
+  var resolvedType = item.resolvedType || "COLOR";
+  if (variable && variable.resolvedType !== resolvedType) {
+    throw new Error(
+      "Existing variable is " +
+        variable.resolvedType +
+        ", expected " +
+        resolvedType
+    );
+  }
+}
+
+// Aliases each mode to its source variable, or sets the converted literal.
+// Returns what changed, for the sync history.
+function setModeValues(targetVariable, modeReferences, sourceVars) {
+  var changes = [];
+  for (var i = 0; i < modeReferences.length; i++) {
+    var modeId = modeReferences[i].modeId;
+    var previous = targetVariable.valuesByMode[modeId];
+    targetVariable.setValueForMode(
+      modeId,
+      sourceVars[i]
+        ? figma.variables.createVariableAlias(sourceVars[i])
+        : modeReferences[i].value
+    );
+    changes.push(
+      describeModeChange(
+        targetVariable,
+        modeId,
+        modeReferences[i].modeName,
+        previous
+      )
+    );
+  }
+  return changes;
+}
+
+// One mode's value before and after a write, as kept in the sync history
+function describeModeChange(variable, modeId, modeName, previous) {
+  var next = variable.valuesByMode[modeId];
+  return {
+    modeId: modeId,
+    modeName: modeName,
+    before: previous === undefined ? null : describeVariableValue(previous),
+    after: describeVariableValue(next),
+    beforeValue:
+      previous === undefined ? null : JSON.parse(JSON.stringify(previous)),
+    afterValue: JSON.parse(JSON.stringify(next)),
+  };
+}
+
+// ===== SYNC STALE VARIABLES =====
+// Target variables under a prefix the CSS uses (e.g. "color/") that no
+// longer have a CSS entry. Already archived variables are left alone.
+var SYNC_ARCHIVE_GROUP = "_archive";
+
+function findStaleVariables(variablesToCreate, existingVariables) {
+  var names = {};
+  var prefixes = {};
+  for (var i = 0; i < variablesToCreate.length; i++) {
+    var name = variablesToCreate[i].variableName;
+    names[name] = true;
+    if (name.indexOf("/") !== -1) {
+      prefixes[name.split("/")[0] + "/"] = true;
+    }
+  }
+
+  var stale = [];
+  Object.keys(existingVariables)
+    .sort()
+    .forEach(function (existingName) {
+      if (
+        names[existingName] ||
+        existingName.indexOf(SYNC_ARCHIVE_GROUP + "/") === 0
+      ) {
+        return;
+      }
+      var prefix = existingName.split("/")[0] + "/";
+      if (prefixes[prefix]) {
+        stale.push(existingVariables[existingName]);
+      }
+    });
+  return stale;
+}
+
+// The stale variables the user confirmed in the preview. They are looked up by
+// name, as the selected rows sent with the run may not cover their prefix
+// (e.g. when the removals are the only change); variables this run writes and
+// archived ones are never pruned.
+function findConfirmedStaleVariables(
+  confirmed,
+  variablesToCreate,
+  existingVariables
+) {
+  var names = {};
+  for (var i = 0; i < variablesToCreate.length; i++) {
+    names[variablesToCreate[i].variableName] = true;
+  }
+
+  var stale = [];
+  for (var j = 0; j < confirmed.length; j++) {
+    var name = confirmed[j];
+    if (
+      existingVariables[name] &&
+      !names[name] &&
+      name.indexOf(SYNC_ARCHIVE_GROUP + "/") !== 0
+    ) {
+      stale.push(existingVariables[name]);
+    }
+  }
+  return stale;
+}
+
+// Removes stale variables, or moves them into the archive group, and resolves
+// to the removed list. Removed variables are snapshotted like audit deletions
+// so Restore Deleted can bring them back; the snapshot is stored before
+// anything is removed, and nothing is removed when it cannot be stored.
+function pruneStaleVariables(staleVariables, action, failed) {
+  var removed = [];
+  var localVariables = figma.variables.getLocalVariables();
+
+  var fail = function (variable, collectionName, error) {
+    failed.push({
+      variableName: variable.name,
+      collectionName: collectionName,
+      error:
+        "Could not " +
+        (action === "archive" ? "archive" : "remove") +
+        ": " +
+        error.message,
+    });
+  };
+
+  var logPruned = function () {
+    console.log("🧹 Pruned stale variables:", {
+      action: action === "archive" ? "archive" : "remove",
+      removed: removed.length,
+    });
+    return removed;
+  };
+
+  if (action === "archive") {
+    var localNames = {};
+    for (var i = 0; i < localVariables.length; i++) {
+      localNames[
+        localVariables[i].variableCollectionId + ":" + localVariables[i].name
+      ] = true;
+    }
+
+    for (var j = 0; j < staleVariables.length; j++) {
+      var variable = staleVariables[j];
+      var collectionName = getVariableCollectionName(variable);
+      try {
+        var archivedName = SYNC_ARCHIVE_GROUP + "/" + variable.name;
+        if (localNames[variable.variableCollectionId + ":" + archivedName]) {
+          throw new Error(archivedName + " already exists");
+        }
+        var originalName = variable.name;
+        variable.name = archivedName;
+        removed.push({
+          variableName: originalName,
+          variableId: variable.id,
+          collectionName: collectionName,
+          archivedAs: archivedName,
+        });
+      } catch (error) {
+        fail(variable, collectionName, error);
+      }
+    }
+    return Promise.resolve(logPruned());
+  }
+
+  var toRemove = [];
+  for (var k = 0; k < staleVariables.length; k++) {
+    var referencedBy = findLocalAliasReferences(
+      staleVariables[k],
+      localVariables
+    );
+    if (referencedBy.length > 0) {
+      fail(
+        staleVariables[k],
+        getVariableCollectionName(staleVariables[k]),
+        new Error("Still referenced by " + referencedBy.join(", "))
+      );
+    } else {
+      toRemove.push(staleVariables[k]);
+    }
+  }
+
+  if (toRemove.length === 0) {
+    return Promise.resolve(logPruned());
+  }
+
+  var snapshots = toRemove.map(createVariableSnapshot);
+  var previousSnapshots = [];
+
+  return loadDeletedVariableSnapshots()
+    .then(function (existing) {
+      previousSnapshots = existing;
+      return figma.clientStorage.setAsync(
+        getDeletedSnapshotStorageKey(),
+        existing.concat(snapshots)
+      );
+    })
+    .then(
+      function () {
+        var removedSnapshots = [];
+        for (var r = 0; r < toRemove.length; r++) {
+          try {
+            toRemove[r].remove();
+            removedSnapshots.push(snapshots[r]);
+            removed.push({
+              variableName: snapshots[r].name,
+              variableId: snapshots[r].id,
+              collectionName: snapshots[r].collectionName,
+            });
+          } catch (error) {
+            fail(toRemove[r], snapshots[r].collectionName, error);
+          }
+        }
+
+        // Only keep snapshots of variables that were actually removed
+        return figma.clientStorage
+          .setAsync(
+            getDeletedSnapshotStorageKey(),
+            previousSnapshots.concat(removedSnapshots)
+          )
+          .catch(function (error) {
+            console.warn("⚠️ Could not update deleted snapshots:", error);
+          });
+      },
+      function (error) {
+        console.warn(
+          "⚠️ Could not store snapshots of pruned variables:",
+          error
+        );
+        for (var s = 0; s < toRemove.length; s++) {
+          fail(
+            toRemove[s],
+            snapshots[s].collectionName,
+            new Error("the restore snapshot could not be saved")
+          );
+        }
+      }
+    )
+    .then(logPruned);
+}
+
+// ===== PROCESS LOCAL VARIABLES =====
+function processLocalVariables(
+  variablesToCreate,
+  sourceVariableMap,
+  targetCollection,
+  existingVariables,
+  modeTargets,
+  created,
+  updated,
+  failed
+) {
+  console.log("Processing Variables:", {
+    total: variablesToCreate.length,
+    type: "local",
+  });
+
+  for (var i = 0; i < variablesToCreate.length; i++) {
+    var item = variablesToCreate[i];
+    var modeReferences = [];
+
+    try {
+      var modeRefs = getModeReferences(item, modeTargets);
+      modeReferences = modeRefs.references;
+      if (modeRefs.error) {
+        failed.push(
+          createVariableResult(item, modeReferences, null, modeRefs.error)
+        );
+        continue;
+      }
+
+      // Find source variables
+      var sourceVars = [];
+      var missingRef = null;
+      for (var j = 0; j < modeReferences.length; j++) {
+        if (!modeReferences[j].reference) {
+          sourceVars.push(null);
+          continue;
+        }
+        var sourceVar = findSourceVariable(
+          sourceVariableMap,
+          modeReferences[j].reference
+        );
+        if (!sourceVar) {
+          missingRef = modeReferences[j];
+          break;
+        }
+        sourceVars.push(sourceVar);
+      }
+
+      if (missingRef) {
+        failed.push(
+          createMissingSourceResult(
+            item,
+            modeReferences,
+            missingRef,
+            Object.keys(sourceVariableMap)
+          )
+        );
+        continue;
+      }
+
+      // Get or create target variable
+      var targetVariable = existingVariables[item.variableName];
+      var wasUpdated = !!targetVariable;
+
+      assertVariableType(targetVariable, item);
+
+      // Aliasing a source that already resolves through the target would loop
+      if (
+        targetVariable &&
+        sourceVars.some(function (sourceVar) {
+          return (
+            sourceVar && aliasChainIncludes(sourceVar.id, targetVariable.id)
+          );
+        })
+      ) {
+        failed.push(
+          createVariableResult(
+            item,
+            modeReferences,
+            null,
+            "Alias would create a cycle through " + item.variableName
+          )
+        );
+        continue;
+      }
+
+      if (!targetVariable) {
+        targetVariable = figma.variables.createVariable(
+          item.variableName,
+          targetCollection,
+          item.resolvedType || "COLOR"
+        );
+        existingVariables[item.variableName] = targetVariable;
+      }
+
+      var changes = setModeValues(targetVariable, modeReferences, sourceVars);
+
+      // Record result
+      var result = createVariableResult(item, modeReferences, sourceVars);
+      result.variableId = targetVariable.id;
+      result.changes = changes;
+
+      if (wasUpdated) {
+        updated.push(result);
+      } else {
+        created.push(result);
+      }
+    } catch (error) {
+      failed.push(
+        createVariableResult(item, modeReferences, null, error.message)
+      );
+    }
+  }
+}
+
+// ===== PROCESS LIBRARY VARIABLES WITH JSON =====
+function processLibraryVariablesWithJson(
+  variablesToCreate,
+  jsonData,
+  targetCollection,
+  existingVariables,
+  modeTargets,
+  created,
+  updated,
+  failed
+) {
+  console.log("🔄 Starting JSON-based variable processing:", {
+    toCreate: variablesToCreate.length,
+    jsonVars: Object.keys(jsonData).length,
+    targetCollection: targetCollection.name,
+    existingVars: Object.keys(existingVariables).length,
+    modes: modeTargets,
+  });
+
+  // Log first few variables to be created for debugging
+  console.log(
+    "📝 First few variables to create:",
+    variablesToCreate.slice(0, 3).map(function (v) {
+      return {
+        name: v.variableName,
+        modes: v.modes,
+      };
+    })
+  );
+
+  // Log first few JSON entries for debugging
+  var firstFewJsonKeys = Object.keys(jsonData).slice(0, 3);
+  var firstFewEntries = {};
+  for (var k = 0; k < firstFewJsonKeys.length; k++) {
+    var key = firstFewJsonKeys[k];
+    firstFewEntries[key] = jsonData[key];
+  }
+  console.log("🔍 First few JSON entries:", firstFewEntries);
+
+  var processedCount = 0;
+  var startTime = Date.now();
+
+  // Process the variables through the import queue
+  runImportQueue(
+    variablesToCreate,
+    function (item) {
+      return processLibraryVariableWithJson(
+        item,
+        jsonData,
+        targetCollection,
+        existingVariables,
+        modeTargets,
+        created,
+        updated,
+        failed
+      ).then(function () {
+        processedCount++;
+        if (processedCount % 10 === 0) {
+          var elapsed = (Date.now() - startTime) / 1000;
+          var rate = processedCount / elapsed;
+          console.log(
+            "✅ Progress: " +
+              processedCount +
+              "/" +
+              variablesToCreate.length +
+              " variables (" +
+              rate.toFixed(1) +
+              " vars/sec)"
+          );
+        }
+      });
+    },
+    function (item) {
+      return item.variableName;
+    }
+  )
+    .then(function (queueResult) {
+      addCancelledResults(queueResult.skipped, failed, function (item) {
+        return item;
+      });
+      var totalTime = (Date.now() - startTime) / 1000;
+      console.log("✅ All JSON-based library imports completed:", {
+        total: variablesToCreate.length,
+        created: created.length,
+        updated: updated.length,
+        failed: failed.length,
+        timeSeconds: totalTime.toFixed(1),
+        ratePerSecond: (variablesToCreate.length / totalTime).toFixed(1),
+      });
+      sendResults(created, updated, failed, variablesToCreate.length);
+    })
+    .catch(function (error) {
+      console.error("❌ JSON Library Import Error:", {
+        error: error.message,
+        stack: error.stack,
+        processed: processedCount,
+        total: variablesToCreate.length,
+        timeSeconds: ((Date.now() - startTime) / 1000).toFixed(1),
+      });
+      sendResults(created, updated, failed, variablesToCreate.length);
+    });
+}
+
+function processLibraryVariableWithJson(
+  item,
+  jsonData,
+  targetCollection,
+  existingVariables,
+  modeTargets,
+  created,
+  updated,
+  failed
+) {
+  return new Promise(function (resolve) {
+    var modeReferences = [];
+
+    try {
+      console.log("🔍 Looking up variable:", {
+        name: item.variableName,
+        modes: item.modes,
+      });
+
+      var modeRefs = getModeReferences(item, modeTargets);
+      modeReferences = modeRefs.references;
+      if (modeRefs.error) {
+        failed.push(
+          createVariableResult(item, modeReferences, null, modeRefs.error)
+        );
+        resolve();
+        return;
+      }
+
+      // Generated opacity variables are local, everything else comes from the JSON keys
+      var importsByKey = {};
+      var importPromises = [];
+      for (var i = 0; i < modeReferences.length; i++) {
+        var ref = modeReferences[i];
+        if (!ref.reference) {
+          importPromises.push(Promise.resolve(null));
+          continue;
+        }
+        var generated = generatedOpacityVariables[ref.reference];
+        var key = generated
+          ? generated.key
+          : findVariableKeyInJson(jsonData, ref.reference);
+
+        if (!key) {
+          console.warn("⚠️ Key not found:", {
+            variable: item.variableName,
+            mode: ref.modeName,
+            reference: ref.reference,
+          });
+
+          var missingResult = createVariableResult(
+            item,
+            modeReferences,
+            null,
+            "Variable key not found in uploaded JSON file for " +
+              ref.modeName +
+              " reference"
+          );
+          missingResult.missingReference = createMissingReference(
+            ref,
+            getKeysJSONNames(jsonData)
+          );
+          failed.push(missingResult);
+          resolve();
+          return;
+        }
+
+        if (!importsByKey[key]) {
+          importsByKey[key] = generated
+            ? Promise.resolve(generated)
+            : importVariableWithRetry(key);
+        }
+        importPromises.push(importsByKey[key]);
+      }
+
+      console.log("✅ Found keys:", {
+        variable: item.variableName,
+        keys: Object.keys(importsByKey),
+      });
+
+      // The target is created once every source has been imported, so a
+      // failed import leaves nothing behind
+      var targetVariable = existingVariables[item.variableName];
+      var wasUpdated = !!targetVariable;
+      assertVariableType(targetVariable, item);
+
+      // Import library variables using keys from JSON
+      console.log("🔄 Importing library variables...");
+      Promise.all(importPromises)
+        .then(function (imported) {
+          console.log("✅ Variables imported:", {
+            variable: item.variableName,
+            sources: imported.map(function (v) {
+              return v ? v.name : null;
+            }),
+          });
+
+          if (!targetVariable) {
+            console.log("➕ Creating new variable:", item.variableName);
+            targetVariable = createTargetVariable(
+              item,
+              targetCollection,
+              existingVariables
+            );
+          } else {
+            console.log("🔄 Updating existing variable:", item.variableName);
+          }
+
+          var changes = setModeValues(targetVariable, modeReferences, imported);
+
+          // Record result
+          var result = createVariableResult(item, modeReferences, imported);
+          result.variableId = targetVariable.id;
+          result.changes = changes;
+
+          if (wasUpdated) {
+            updated.push(result);
+          } else {
+            created.push(result);
+          }
+
+          console.log("✅ Variable processed successfully:", item.variableName);
+          resolve();
+        })
+        .catch(function (error) {
+          console.error("❌ Import failed:", {
+            variable: item.variableName,
+            error: error.message,
+          });
+          if (!wasUpdated) {
+            discardCreatedVariable(targetVariable, existingVariables);
+          }
+
+          failed.push(
+            createVariableResult(
+              item,
+              modeReferences,
+              null,
+              "Import failed: " + error.message
+            )
+          );
+          resolve();
+        });
+    } catch (error) {
+      console.error("❌ Processing error:", {
+        variable: item.variableName,
+        error: error.message,
+      });
+
+      failed.push(
+        createVariableResult(item, modeReferences, null, error.message)
+      );
+      resolve();
+    }
+  });
+}
+
+// ===== FIND VARIABLE KEY IN JSON DATA =====
+function findVariableKeyInJson(jsonData, variableName) {
+  console.log("🔍 Looking for variable key in JSON:", {
+    name: variableName,
+    totalJsonVars: Object.keys(jsonData).length,
+    firstFewKeys: Object.keys(jsonData).slice(0, 3),
+  });
+
+  // Normalize the opacity suffix (_5 → _05, _100 → base colour)
+  var normalizedName = normalizeOpacityReference(variableName);
+  console.log("📝 Normalized name:", normalizedName);
+
+  // Try exact match first
+  if (jsonData[normalizedName]) {
+    console.log("✅ Found exact match key:", {
+      name: normalizedName,
+      key: jsonData[normalizedName].key,
+    });
+    return jsonData[normalizedName].key;
+  }
+
+  // Try with/without color prefix
+  var withPrefix = "color/" + normalizedName.replace(/^color\//, "");
+  var withoutPrefix = normalizedName.replace(/^color\//, "");
+
+  console.log("🔍 Trying alternative paths:", {
+    withPrefix: withPrefix,
+    withoutPrefix: withoutPrefix,
+  });
+
+  if (jsonData[withPrefix]) {
+    console.log("✅ Found prefixed key:", {
+      path: withPrefix,
+      key: jsonData[withPrefix].key,
+    });
+    return jsonData[withPrefix].key;
+  }
+
+  if (jsonData[withoutPrefix]) {
+    console.log("✅ Found unprefixed key:", {
+      path: withoutPrefix,
+      key: jsonData[withoutPrefix].key,
+    });
+    return jsonData[withoutPrefix].key;
+  }
+
+  // Handle stepless colors that don't have number steps
+  var steplessName = findSteplessName(jsonData, normalizedName);
+  if (steplessName) {
+    console.log("✅ Found stepless color key:", {
+      name: normalizedName,
+      path: steplessName,
+      key: jsonData[steplessName].key,
+    });
+    return jsonData[steplessName].key;
+  }
+
+  console.log("❌ No key found for variable:", variableName);
+  return null;
+}
+
+// ===== VALIDATE KEYS JSON =====
+// Checks an uploaded keys JSON before it is used: every entry needs a string
+// key, resolvedType and collection are optional, and a name may appear only
+// once. Coverage counts the CSS references the file resolves with the same
+// lookup the create run uses.
+var KEYS_JSON_TYPES = ["COLOR", "FLOAT", "STRING", "BOOLEAN"];
+
+function validateKeysJSON(jsonText, variablesToCreate, modeMappings) {
+  try {
+    var jsonData;
+    try {
+      jsonData = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error("The file is not valid JSON: " + error.message);
+    }
+    if (!jsonData || typeof jsonData !== "object" || Array.isArray(jsonData)) {
+      throw new Error("The file must contain an object of variable names");
+    }
+
+    var errors = [];
+    var variableCount = 0;
+    var names = Object.keys(jsonData);
+    for (var i = 0; i < names.length; i++) {
+      var name = names[i];
+      if (name.charAt(0) === "$") {
+        if (name === "$version" && jsonData[name] !== KEYS_JSON_VERSION) {
+          errors.push({
+            name: name,
+            message: "Unsupported version " + jsonData[name],
+          });
+        }
+        continue;
+      }
+
+      variableCount++;
+      var problem = getKeysJSONEntryProblem(jsonData[name]);
+      if (problem) {
+        errors.push({ name: name, message: problem });
+      }
+    }
+
+    var duplicates = findDuplicateTopLevelKeys(jsonText);
+    var coverage = getKeysJSONCoverage(
+      jsonData,
+      variablesToCreate || [],
+      modeMappings || []
+    );
+
+    console.log("🔑 Keys JSON checked:", {
+      variables: variableCount,
+      errors: errors.length,
+      duplicates: duplicates.length,
+      resolvable: coverage.resolvable + "/" + coverage.total,
+    });
+
+    figma.ui.postMessage({
+      type: "keys-json-validated",
+      success: true,
+      results: {
+        valid:
+          variableCount > 0 && errors.length === 0 && duplicates.length === 0,
+        variableCount: variableCount,
+        errors: errors,
+        duplicates: duplicates,
+        coverage: coverage,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Keys JSON check failed:", error);
+    figma.ui.postMessage({
+      type: "keys-json-validated",
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+// Variable names in a keys JSON, without header fields such as $version
+function getKeysJSONNames(jsonData) {
+  return Object.keys(jsonData).filter(function (name) {
+    return name.charAt(0) !== "$";
+  });
+}
+
+function getKeysJSONEntryProblem(entry) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return "Entry must be an object with a key";
+  }
+  if (typeof entry.key !== "string" || !entry.key) {
+    return 'Missing string "key"';
+  }
+  if (
+    entry.resolvedType !== undefined &&
+    KEYS_JSON_TYPES.indexOf(entry.resolvedType) === -1
+  ) {
+    return "Unknown resolvedType " + JSON.stringify(entry.resolvedType);
+  }
+  if (entry.collection !== undefined && typeof entry.collection !== "string") {
+    return '"collection" must be a string';
+  }
+  return null;
+}
+
+// JSON.parse keeps only the last of two equal names, so duplicates are found
+// by scanning the raw text for names at the top level of the object
+function findDuplicateTopLevelKeys(jsonText) {
+  var seen = {};
+  var duplicates = [];
+  var depth = 0;
+
+  for (var i = 0; i < jsonText.length; i++) {
+    var char = jsonText.charAt(i);
+    if (char === "{" || char === "[") {
+      depth++;
+    } else if (char === "}" || char === "]") {
+      depth--;
+    } else if (char === '"') {
+      var end = i + 1;
+      while (end < jsonText.length && jsonText.charAt(end) !== '"') {
+        end += jsonText.charAt(end) === "\\" ? 2 : 1;
+      }
+      var rest = jsonText.slice(end + 1).replace(/^\s+/, "");
+      if (depth === 1 && rest.charAt(0) === ":") {
+        var name = JSON.parse(jsonText.slice(i, end + 1));
+        if (seen[name] && duplicates.indexOf(name) === -1) {
+          duplicates.push(name);
+        }
+        seen[name] = true;
+      }
+      i = end;
+    }
+  }
+
+  return duplicates;
+}
+
+function getKeysJSONCoverage(jsonData, variablesToCreate, modeMappings) {
+  var selectors = modeMappings.map(function (mapping) {
+    return mapping.selector;
+  });
+  var references = {};
+  for (var i = 0; i < variablesToCreate.length; i++) {
+    var modes = variablesToCreate[i].modes || {};
+    for (var j = 0; j < selectors.length; j++) {
+      var modeValue = modes[selectors[j]];
+      if (modeValue && modeValue.reference) {
+        references[modeValue.reference] = true;
+      }
+    }
+  }
+
+  var unresolved = Object.keys(references).filter(function (reference) {
+    return !findVariableKeyInJson(jsonData, reference);
+  });
+  var total = Object.keys(references).length;
+
+  return {
+    total: total,
+    resolvable: total - unresolved.length,
+    unresolved: unresolved,
+  };
+}
+
+// ===== STEPLESS COLORS =====
+// A stepless colour is a source name without numeric children: color/black,
+// color/transparent or a brand singleton, unlike color/red with color/red/500.
+// They are derived from whichever names a lookup searches (source variables
+// or the keys JSON). A reference with a step on one (color/black/500) resolves
+// to it, and so does a nested reference to a top-level one (color/base/white
+// → color/white) when no other top-level colour has that leaf name.
+// Overrides force leaf names in (include) or out (exclude).
+var steplessIndexCache = {
+  source: null,
+  overrides: null,
+  size: 0,
+  index: null,
+};
+
+function findSteplessName(source, variableName) {
+  var index = getSteplessIndex(source);
+  var base = variableName.replace(/\/\d+$/, "");
+  if (hasOwnName(index.byName, base)) {
+    return base;
+  }
+
+  var leaf = base.split("/").pop();
+  return hasOwnName(index.byLeaf, leaf) ? index.byLeaf[leaf] : null;
+}
+
+// Lookups run once per reference, so the index is kept until the names or
+// overrides change
+function getSteplessIndex(source) {
+  var names = Object.keys(source);
+  var cache = steplessIndexCache;
+  if (
+    cache.source !== source ||
+    cache.overrides !== steplessOverrides ||
+    cache.size !== names.length
+  ) {
+    cache.source = source;
+    cache.overrides = steplessOverrides;
+    cache.size = names.length;
+    cache.index = buildSteplessIndex(names, steplessOverrides);
+  }
+  return cache.index;
+}
+
+function buildSteplessIndex(names, overrides) {
+  var include = (overrides && overrides.include) || [];
+  var exclude = (overrides && overrides.exclude) || [];
+  var stepped = {};
+  for (var i = 0; i < names.length; i++) {
+    var match = names[i].match(/^(.+)\/\d+$/);
+    if (match) {
+      stepped[match[1]] = true;
+    }
+  }
+
+  var index = { byName: {}, byLeaf: {} };
+  for (var j = 0; j < names.length; j++) {
+    var name = names[j];
+    if (name.charAt(0) === "$" || /\/\d+$/.test(name)) {
+      continue;
+    }
+
+    var leaf = name.split("/").pop();
+    if (
+      exclude.indexOf(leaf) !== -1 ||
+      (stepped[name] && include.indexOf(leaf) === -1)
+    ) {
+      continue;
+    }
+
+    index.byName[name] = true;
+    if (/^(color\/)?[^\/]+$/.test(name)) {
+      // Two top-level colours with the same leaf cannot be told apart
+      index.byLeaf[leaf] = hasOwnName(index.byLeaf, leaf) ? null : name;
+    }
+  }
+  return index;
+}
+
+function hasOwnName(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+// ===== SEND RESULTS =====
+function sendResults(created, updated, failed, totalVariables) {
+  console.log("Variable Creation Results:", {
+    created: created.length,
+    updated: updated.length,
+    failed: failed.length,
+    total: totalVariables,
+  });
+
+  // Only a run without failures becomes the last sync
+  var syncConfigSaved =
+    failed.length === 0 && saveSyncConfig(pendingSyncConfig);
+  pendingSyncConfig = null;
+
+  var historyRunId = null;
+  var historyError = null;
+  try {
+    historyRunId = saveSyncRun(created, updated, failed);
+  } catch (error) {
+    console.warn("⚠️ Could not record sync run:", error);
+    historyError = error.message;
+    figma.notify("This run could not be saved to the sync history", {
+      error: true,
+    });
+  }
+
+  figma.ui.postMessage({
+    type: "creation-complete",
+    success: failed.length === 0,
+    message:
+      failed.length === 0
+        ? "Variables created successfully"
+        : "Variable creation failed",
+    results: {
+      created: created,
+      updated: updated,
+      failed: failed,
+      generated: generatedOpacityResults,
+      removed: prunedVariableResults,
+      historyRunId: historyRunId,
+      historyError: historyError,
+    },
+    lastSync: syncConfigSaved ? loadSyncConfig() : null,
+  });
+}
+
+// ===== SYNC HISTORY =====
+// Every create run is kept in shared plugin data on the document so the
+// whole team sees the same history. Runs are stored under their own keys and
+// listed in a small index; only the most recent runs are kept.
+var SYNC_HISTORY_NAMESPACE = "opacity_variables_auditor";
+var SYNC_HISTORY_INDEX_KEY = "syncHistory";
+var SYNC_RUN_KEY_PREFIX = "syncRun.";
+var MAX_SYNC_HISTORY_RUNS = 50;
+
+// Figma limits each plugin data entry to about 100 kB, so a run is split into
+// parts of at most this many characters (3 bytes each at worst), stored as
+// syncRun.<id>, syncRun.<id>.1, syncRun.<id>.2, ...
+var SYNC_RUN_PART_SIZE = 30000;
+
+function saveSyncRun(created, updated, failed) {
+  var context = syncRunContext || {};
+  var generated = generatedOpacityResults.filter(function (result) {
+    return !!result.variableId;
+  });
+  var run = {
+    id: Date.now().toString(36),
+    timestamp: Date.now(),
+    user: figma.currentUser ? figma.currentUser.name : "Unknown user",
+    source: context.source || "",
+    target: context.target || "",
+    targetCollectionId: context.targetCollectionId || null,
+    counts: {
+      created: created.length,
+      updated: updated.length,
+      removed: prunedVariableResults.length,
+      failed: failed.length,
+      generated: generated.length,
+    },
+    // Generated opacity variables first: the target variables alias them
+    changes: generated
+      .map(function (result) {
+        return createHistoryChange(
+          result,
+          result.updated ? "updated" : "created"
+        );
+      })
+      .concat(
+        created.map(function (result) {
+          return createHistoryChange(result, "created");
+        })
+      )
+      .concat(
+        updated.map(function (result) {
+          return createHistoryChange(result, "updated");
+        })
+      ),
+    removed: prunedVariableResults,
+    modeChanges: appliedModeChanges,
+    failed: failed.map(function (result) {
+      return { variableName: result.variableName, error: result.error };
+    }),
+  };
+
+  try {
+    writeSyncRun(run);
+
+    var history = loadSyncHistory();
+    history.unshift(createSyncRunSummary(run));
+    var dropped = history.splice(MAX_SYNC_HISTORY_RUNS);
+    for (var i = 0; i < dropped.length; i++) {
+      clearSyncRunParts(dropped[i].id, 0);
+    }
+    saveSyncHistory(history);
+  } catch (error) {
+    // Parts written before the failure would never be read
+    clearSyncRunParts(run.id, 0);
+    throw error;
+  }
+
+  console.log("📜 Recorded sync run:", run.id);
+  return run.id;
+}
+
+function getSyncRunPartKey(runId, part) {
+  return SYNC_RUN_KEY_PREFIX + runId + (part > 0 ? "." + part : "");
+}
+
+function writeSyncRun(run) {
+  var json = JSON.stringify(run);
+  var part = 0;
+  for (var offset = 0; offset < json.length; offset += SYNC_RUN_PART_SIZE) {
+    figma.root.setSharedPluginData(
+      SYNC_HISTORY_NAMESPACE,
+      getSyncRunPartKey(run.id, part),
+      json.substr(offset, SYNC_RUN_PART_SIZE)
+    );
+    part++;
+  }
+  clearSyncRunParts(run.id, part);
+}
+
+// Clears the stored parts of a run from the given part on
+function clearSyncRunParts(runId, fromPart) {
+  for (var part = fromPart; ; part++) {
+    var key = getSyncRunPartKey(runId, part);
+    if (!figma.root.getSharedPluginData(SYNC_HISTORY_NAMESPACE, key)) {
+      return;
+    }
+    figma.root.setSharedPluginData(SYNC_HISTORY_NAMESPACE, key, "");
+  }
+}
+
+function createHistoryChange(result, action) {
+  return {
+    variableId: result.variableId || null,
+    variableName: result.variableName,
+    resolvedType: result.resolvedType,
+    action: action,
+    modes: result.changes || [],
+  };
+}
+
+function createSyncRunSummary(run) {
+  return {
+    id: run.id,
+    timestamp: run.timestamp,
+    user: run.user,
+    source: run.source,
+    target: run.target,
+    counts: run.counts,
+    revertedAt: run.revertedAt || null,
+  };
+}
+
+function loadSyncHistory() {
+  var stored = figma.root.getSharedPluginData(
+    SYNC_HISTORY_NAMESPACE,
+    SYNC_HISTORY_INDEX_KEY
+  );
+  if (!stored) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.warn("⚠️ Ignoring unreadable sync history:", error);
+    return [];
+  }
+}
+
+function saveSyncHistory(history) {
+  figma.root.setSharedPluginData(
+    SYNC_HISTORY_NAMESPACE,
+    SYNC_HISTORY_INDEX_KEY,
+    JSON.stringify(history)
+  );
+}
+
+function loadSyncRun(runId) {
+  var json = "";
+  for (var part = 0; ; part++) {
+    var stored = figma.root.getSharedPluginData(
+      SYNC_HISTORY_NAMESPACE,
+      getSyncRunPartKey(runId, part)
+    );
+    if (!stored) {
+      break;
+    }
+    json += stored;
+  }
+  return json ? JSON.parse(json) : null;
+}
+
+function postSyncHistory() {
+  figma.ui.postMessage({
+    type: "sync-history-loaded",
+    success: true,
+    runs: loadSyncHistory(),
+  });
+}
+
+function postSyncRun(runId) {
+  try {
+    var run = loadSyncRun(runId);
+    if (!run) {
+      throw new Error("This run is no longer in the history");
+    }
+    figma.ui.postMessage({ type: "sync-run-loaded", success: true, run: run });
+  } catch (error) {
+    console.error("❌ Could not load sync run:", error);
+    figma.ui.postMessage({
+      type: "sync-run-loaded",
+      success: false,
+      message: "Error loading sync run: " + error.message,
+    });
+  }
+}
+
+// ===== REVERT SYNC RUN =====
+// Undoes a recorded run: variables it created (generated opacity variables
+// included) are deleted, updated modes get their previous value back, archived
+// variables get their name back and mode renames/adds are undone. Modes edited
+// after the run are left alone. Each item is reverted on its own and failures
+// are reported; items already back in their previous state count as reverted,
+// so a partial revert can be run again once the blocking items are fixed. The
+// run is only marked as reverted when nothing but deleted variables is left.
+function revertSyncRun(runId) {
+  try {
+    var run = loadSyncRun(runId);
+    if (!run) {
+      throw new Error("This run is no longer in the history");
+    }
+    if (run.revertedAt) {
+      throw new Error("This run has already been reverted");
+    }
+
+    console.log("⏪ Reverting sync run:", run.id);
+
+    var reverted = [];
+    var removed = [];
+    var failed = [];
+    var createdIds = {};
+    for (var c = 0; c < run.changes.length; c++) {
+      if (run.changes[c].action === "created") {
+        createdIds[run.changes[c].variableId] = true;
+      }
+    }
+    var localVariables = figma.variables.getLocalVariables();
+
+    for (var i = run.changes.length - 1; i >= 0; i--) {
+      var change = run.changes[i];
+      var variable = change.variableId
+        ? figma.variables.getVariableById(change.variableId)
+        : null;
+      if (!variable) {
+        // A created variable that is gone needs no revert
+        if (change.action !== "created") {
+          failed.push({
+            variableName: change.variableName,
+            error: "Variable no longer exists",
+          });
+        }
+        continue;
+      }
+
+      // One failing variable must not stop the rest of the revert
+      var collectionName = getVariableCollectionName(variable);
+      try {
+        if (change.action === "created") {
+          var referencedBy = findLocalAliasReferences(
+            variable,
+            localVariables.filter(function (v) {
+              return !createdIds[v.id];
+            })
+          );
+          if (referencedBy.length > 0) {
+            failed.push({
+              variableName: variable.name,
+              collectionName: collectionName,
+              error: "Still referenced by " + referencedBy.join(", "),
+            });
+            continue;
+          }
+          variable.remove();
+          removed.push({
+            variableName: change.variableName,
+            collectionName: collectionName,
+          });
+          continue;
+        }
+
+        var skipped = revertVariableModes(variable, change.modes);
+        if (skipped.length > 0) {
+          failed.push({
+            variableName: variable.name,
+            collectionName: collectionName,
+            error: "Changed after this run in " + skipped.join(", "),
+          });
+        } else {
+          reverted.push({
+            variableName: variable.name,
+            collectionName: collectionName,
+          });
+        }
+      } catch (error) {
+        console.warn(
+          "⚠️ Could not revert variable:",
+          change.variableName,
+          error
+        );
+        failed.push({
+          variableName: change.variableName,
+          collectionName: collectionName,
+          error: error.message,
+        });
+      }
+    }
+
+    var deletedCount = restorePrunedVariables(
+      run.removed || [],
+      reverted,
+      failed
+    );
+    revertModeChanges(
+      run.targetCollectionId,
+      run.modeChanges || [],
+      run.changes,
+      failed
+    );
+
+    // Deleted variables come back through Restore Deleted, not a retry
+    var complete = failed.length === deletedCount;
+    if (complete) {
+      run.revertedAt = Date.now();
+      writeSyncRun(run);
+      saveSyncHistory(
+        loadSyncHistory().map(function (summary) {
+          return summary.id === run.id ? createSyncRunSummary(run) : summary;
+        })
+      );
+    }
+
+    console.log(complete ? "✅ Revert complete:" : "⚠️ Revert incomplete:", {
+      reverted: reverted.length,
+      removed: removed.length,
+      failed: failed.length,
+    });
+
+    figma.ui.postMessage({
+      type: "revert-complete",
+      success: true,
+      results: {
+        created: [],
+        updated: reverted,
+        removed: removed,
+        failed: failed,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Revert Error:", error);
+    figma.ui.postMessage({
+      type: "revert-complete",
+      success: false,
+      message: "Error reverting sync run: " + error.message,
+    });
+  }
+}
+
+// Restores the previous value of each mode the run changed and returns the
+// names of modes that were edited since (those are not touched)
+function revertVariableModes(variable, modes) {
+  var skipped = [];
+  for (var i = 0; i < modes.length; i++) {
+    var mode = modes[i];
+    var current = variable.valuesByMode[mode.modeId];
+    if (
+      current === undefined ||
+      mode.beforeValue === null ||
+      JSON.stringify(current) === JSON.stringify(mode.beforeValue)
+    ) {
+      // The mode is gone, had no value of its own before the run or is
+      // already back to it
+      continue;
+    }
+    if (JSON.stringify(current) !== JSON.stringify(mode.afterValue)) {
+      skipped.push(mode.modeName);
+      continue;
+    }
+    variable.setValueForMode(mode.modeId, mode.beforeValue);
+  }
+  return skipped;
+}
+
+// Archived variables get their name back; deleted ones are only listed
+// because they can be brought back with Restore Deleted. Returns the number
+// of deleted ones.
+function restorePrunedVariables(prunedItems, reverted, failed) {
+  var deletedCount = 0;
+  for (var i = 0; i < prunedItems.length; i++) {
+    var item = prunedItems[i];
+    var variable = item.variableId
+      ? figma.variables.getVariableById(item.variableId)
+      : null;
+
+    if (!item.archivedAs) {
+      deletedCount++;
+      failed.push({
+        variableName: item.variableName,
+        collectionName: item.collectionName,
+        error: "Deleted by this run; use Restore Deleted in the audit",
+      });
+    } else if (variable && variable.name === item.variableName) {
+      // Already renamed back
+      reverted.push({
+        variableName: item.variableName,
+        collectionName: item.collectionName,
+      });
+    } else if (!variable || variable.name !== item.archivedAs) {
+      failed.push({
+        variableName: item.variableName,
+        collectionName: item.collectionName,
+        error: "Archived variable was moved or removed",
+      });
+    } else {
+      try {
+        variable.name = item.variableName;
+        reverted.push({
+          variableName: item.variableName,
+          collectionName: item.collectionName,
+        });
+      } catch (error) {
+        failed.push({
+          variableName: item.variableName,
+          collectionName: item.collectionName,
+          error: error.message,
+        });
+      }
+    }
+  }
+  return deletedCount;
+}
+
+// Renamed modes get their name back and added modes are removed, unless the
+// mode was renamed again or an added mode holds values the run did not write
+function revertModeChanges(collectionId, modeChanges, variableChanges, failed) {
+  var collection = collectionId
+    ? figma.variables.getVariableCollectionById(collectionId)
+    : null;
+  if (!collection) {
+    if (modeChanges.length > 0) {
+      failed.push({
+        variableName: "Modes",
+        collectionName: "",
+        error: "Target collection no longer exists",
+      });
+    }
+    return;
+  }
+
+  for (var i = modeChanges.length - 1; i >= 0; i--) {
+    var change = modeChanges[i];
+    var current = null;
+    for (var m = 0; m < collection.modes.length; m++) {
+      if (collection.modes[m].modeId === change.modeId) {
+        current = collection.modes[m];
+      }
+    }
+    if (
+      !current ||
+      (change.type === "rename" && current.name === change.from)
+    ) {
+      // Already removed or renamed back
+      continue;
+    }
+    if (current.name !== change.to) {
+      failed.push({
+        variableName: "Mode " + change.to,
+        collectionName: collection.name,
+        error: "Renamed to " + current.name + " after this run; left as is",
+      });
+      continue;
+    }
+    if (change.type === "add") {
+      var edited = findVariablesEditedInMode(
+        collection,
+        change.modeId,
+        variableChanges
+      );
+      if (edited.length > 0) {
+        failed.push({
+          variableName: "Mode " + change.to,
+          collectionName: collection.name,
+          error: "Values edited after this run: " + edited.join(", "),
+        });
+        continue;
+      }
+    }
+
+    try {
+      if (change.type === "rename") {
+        console.log("✏️ Renaming mode back:", change.to + " → " + change.from);
+        collection.renameMode(change.modeId, change.from);
+      } else {
+        console.log("➖ Removing added mode:", change.to);
+        collection.removeMode(change.modeId);
+      }
+    } catch (error) {
+      failed.push({
+        variableName: "Mode " + change.to,
+        collectionName: collection.name,
+        error: error.message,
+      });
+    }
+  }
+}
+
+// Names of the collection's variables whose value in an added mode is neither
+// the one Figma filled in (the default mode's) nor one the run recorded
+function findVariablesEditedInMode(collection, modeId, variableChanges) {
+  var recorded = {};
+  for (var i = 0; i < variableChanges.length; i++) {
+    var modes = variableChanges[i].modes || [];
+    for (var j = 0; j < modes.length; j++) {
+      if (modes[j].modeId === modeId) {
+        recorded[variableChanges[i].variableId] = [
+          JSON.stringify(modes[j].beforeValue),
+          JSON.stringify(modes[j].afterValue),
+        ];
+      }
+    }
+  }
+
+  var edited = [];
+  var localVariables = figma.variables.getLocalVariables();
+  for (var k = 0; k < localVariables.length; k++) {
+    var variable = localVariables[k];
+    if (variable.variableCollectionId !== collection.id) {
+      continue;
+    }
+    var value = variable.valuesByMode[modeId];
+    if (value === undefined) {
+      continue;
+    }
+    var allowed = [
+      JSON.stringify(variable.valuesByMode[collection.defaultModeId]),
+    ].concat(recorded[variable.id] || []);
+    if (allowed.indexOf(JSON.stringify(value)) === -1) {
+      edited.push(variable.name);
+    }
+  }
+  return edited;
+}
+
+// ===== PROCESS LIBRARY VARIABLES =====
+function processLibraryVariables(
+  variablesToCreate,
+  sourceVariableMap,
+  targetCollection,
+  existingVariables,
+  modeTargets,
+  created,
+  updated,
+  failed
+) {
+  console.log("Processing Library Variables:", {
+    total: variablesToCreate.length,
+    type: "library",
+  });
+
+  var jobs = [];
+
+  for (var i = 0; i < variablesToCreate.length; i++) {
+    var item = variablesToCreate[i];
+    var modeReferences = [];
+
+    try {
+      var modeRefs = getModeReferences(item, modeTargets);
+      modeReferences = modeRefs.references;
+      if (modeRefs.error) {
+        failed.push(
+          createVariableResult(item, modeReferences, null, modeRefs.error)
+        );
+        continue;
+      }
+
+      // Find source variables
+      var sourceVars = [];
+      var missingRef = null;
+      for (var j = 0; j < modeReferences.length; j++) {
+        if (!modeReferences[j].reference) {
+          sourceVars.push(null);
+          continue;
+        }
+        var sourceVar = findSourceVariable(
+          sourceVariableMap,
+          modeReferences[j].reference
+        );
+        if (!sourceVar) {
+          missingRef = modeReferences[j];
+          break;
+        }
+        sourceVars.push(sourceVar);
+      }
+
+      if (missingRef) {
+        failed.push(
+          createMissingSourceResult(
+            item,
+            modeReferences,
+            missingRef,
+            Object.keys(sourceVariableMap)
+          )
+        );
+        continue;
+      }
+
+      jobs.push({
+        item: item,
+        modeReferences: modeReferences,
+        sourceVars: sourceVars,
+      });
+    } catch (error) {
+      failed.push(
+        createVariableResult(item, modeReferences, null, error.message)
+      );
+    }
+  }
+
+  // Import through the queue
+  runImportQueue(
+    jobs,
+    function (job) {
+      return importLibraryVariables(
+        job.item,
+        job.modeReferences,
+        job.sourceVars,
+        targetCollection,
+        existingVariables,
+        created,
+        updated,
+        failed
+      );
+    },
+    function (job) {
+      return job.item.variableName;
+    }
+  )
+    .then(function (queueResult) {
+      addCancelledResults(queueResult.skipped, failed, function (job) {
+        return job.item;
+      });
+      console.log("Library imports completed");
+      sendResults(created, updated, failed, variablesToCreate.length);
+    })
+    .catch(function (error) {
+      console.error("Library Import Error:", {
+        error: error.message,
+        stack: error.stack,
+      });
+      sendResults(created, updated, failed, variablesToCreate.length);
+    });
+}
+
+// ===== IMPORT LIBRARY VARIABLES =====
+function importLibraryVariables(
+  item,
+  modeReferences,
+  sourceVars,
+  targetCollection,
+  existingVariables,
+  created,
+  updated,
+  failed
+) {
+  return new Promise(function (resolve) {
+    try {
+      // The target is created once every source has been imported, so a
+      // failed import leaves nothing behind
+      var targetVariable = existingVariables[item.variableName];
+      var wasUpdated = !!targetVariable;
+      assertVariableType(targetVariable, item);
+
+      // Import each distinct source variable once
+      var importsByKey = {};
+      var importPromises = sourceVars.map(function (sourceVar) {
+        if (!sourceVar) {
+          return Promise.resolve(null);
+        }
+        if (!importsByKey[sourceVar.key]) {
+          importsByKey[sourceVar.key] = getAliasableVariable(sourceVar);
+        }
+        return importsByKey[sourceVar.key];
+      });
+
+      Promise.all(importPromises)
+        .then(function (imported) {
+          if (!targetVariable) {
+            targetVariable = createTargetVariable(
+              item,
+              targetCollection,
+              existingVariables
+            );
+          }
+          var changes = setModeValues(targetVariable, modeReferences, imported);
+
+          // Record result
+          var result = createVariableResult(item, modeReferences, imported);
+          result.variableId = targetVariable.id;
+          result.changes = changes;
+
+          if (wasUpdated) {
+            updated.push(result);
+          } else {
+            created.push(result);
+          }
+
+          resolve();
+        })
+        .catch(function (error) {
+          if (!wasUpdated) {
+            discardCreatedVariable(targetVariable, existingVariables);
+          }
+          failed.push(
+            createVariableResult(
+              item,
+              modeReferences,
+              null,
+              "Import failed: " + error.message
+            )
+          );
+          resolve();
+        });
+    } catch (error) {
+      failed.push(
+        createVariableResult(item, modeReferences, null, error.message)
+      );
+      resolve();
+    }
+  });
+}
+
+function createTargetVariable(item, targetCollection, existingVariables) {
+  var variable = figma.variables.createVariable(
+    item.variableName,
+    targetCollection,
+    item.resolvedType || "COLOR"
+  );
+  existingVariables[item.variableName] = variable;
+  return variable;
+}
+
+// Removes a variable created for an item whose values could not be set, as
+// the run's results and history do not list it
+function discardCreatedVariable(variable, existingVariables) {
+  if (!variable) {
+    return;
+  }
+  try {
+    delete existingVariables[variable.name];
+    variable.remove();
+  } catch (error) {
+    console.warn("⚠️ Could not remove unfinished variable:", variable.name);
+  }
+}
+
+// ===== IMPORT QUEUE =====
+// Library imports run through a queue with at most importConcurrency jobs at
+// a time. Progress is posted to the UI after every job, and a cancel request
+// stops new jobs from starting; jobs already running are allowed to finish.
+var IMPORT_RETRY_LIMIT = 3;
+var IMPORT_RETRY_BASE_DELAY_MS = 250;
+var activeImportQueue = null;
+
+// Resolves with {cancelled, skipped} once every started job has settled
+function runImportQueue(items, worker, describe) {
+  var queue = { cancelled: false };
+  var total = items.length;
+  var next = 0;
+  var done = 0;
+  var running = 0;
+  var skipped = [];
+  activeImportQueue = queue;
+
+  return new Promise(function (resolve) {
+    var finish = function () {
+      if (activeImportQueue === queue) {
+        activeImportQueue = null;
+      }
+      console.log("📦 Import queue finished:", {
+        done: done,
+        skipped: skipped.length,
+        cancelled: queue.cancelled,
+      });
+      resolve({ cancelled: queue.cancelled, skipped: skipped });
+    };
+
+    var startNext = function () {
+      if (queue.cancelled && next < total) {
+        skipped = skipped.concat(items.slice(next));
+        next = total;
+      }
+      if (next >= total) {
+        if (running === 0) {
+          finish();
+        }
+        return;
+      }
+
+      var item = items[next++];
+      running++;
+      postImportProgress(done, total, describe(item));
+
+      Promise.resolve()
+        .then(function () {
+          return worker(item);
+        })
+        .catch(function (error) {
+          console.error("❌ Import job failed:", describe(item), error);
+        })
+        .then(function () {
+          running--;
+          done++;
+          postImportProgress(done, total, null);
+          startNext();
+        });
+    };
+
+    postImportProgress(0, total, null);
+    if (total === 0) {
+      finish();
+      return;
+    }
+    for (var i = 0; i < Math.min(importConcurrency, total); i++) {
+      startNext();
+    }
+  });
+}
+
+function cancelImportQueue() {
+  if (activeImportQueue) {
+    console.log("⏹️ Cancelling import queue");
+    activeImportQueue.cancelled = true;
+  }
+}
+
+function postImportProgress(done, total, current) {
+  figma.ui.postMessage({
+    type: "import-progress",
+    done: done,
+    total: total,
+    current: current,
+  });
+}
+
+// Jobs the queue never started are reported as failed
+function addCancelledResults(skipped, failed, getItem) {
+  for (var i = 0; i < skipped.length; i++) {
+    failed.push(
+      createVariableResult(getItem(skipped[i]), [], null, "Cancelled")
+    );
+  }
+}
+
+// Retries imports that failed for a reason other than a missing or
+// inaccessible variable, waiting twice as long before each new attempt
+function importVariableWithRetry(key) {
+  var attempt = 0;
+
+  var tryImport = function () {
+    return figma.variables
+      .importVariableByKeyAsync(key)
+      .catch(function (error) {
+        var permanent = /not found|does not exist|invalid|permission/i.test(
+          error && error.message ? error.message : ""
+        );
+        if (
+          permanent ||
+          attempt >= IMPORT_RETRY_LIMIT ||
+          (activeImportQueue && activeImportQueue.cancelled)
+        ) {
+          throw error;
+        }
+
+        var delay = IMPORT_RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+        attempt++;
+        console.warn(
+          "⚠️ Import failed, retrying in " + delay + "ms:",
+          key,
+          error && error.message
+        );
+        return wait(delay).then(tryImport);
+      });
+  };
+
+  return tryImport();
+}
+
+function wait(ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+// ===== FIND SOURCE VARIABLE =====
+function findSourceVariable(sourceVariableMap, variableName) {
+  // Try exact match first
+  if (sourceVariableMap[variableName]) {
+    return sourceVariableMap[variableName];
+  }
+
+  // Normalize the opacity suffix (_5 → _05, _100 → base colour)
+  var normalizedName = normalizeOpacityReference(variableName);
+  if (sourceVariableMap[normalizedName]) {
+    return sourceVariableMap[normalizedName];
+  }
+
+  // Try with/without color prefix
+  var withPrefix = "color/" + normalizedName.replace(/^color\//, "");
+  var withoutPrefix = normalizedName.replace(/^color\//, "");
+
+  if (sourceVariableMap[withPrefix]) {
+    return sourceVariableMap[withPrefix];
+  }
+
+  if (sourceVariableMap[withoutPrefix]) {
+    return sourceVariableMap[withoutPrefix];
+  }
+
+  // Handle stepless colors (color/black/500 → color/black)
+  var steplessName = findSteplessName(sourceVariableMap, normalizedName);
+  if (steplessName) {
+    return sourceVariableMap[steplessName];
+  }
+
+  return null;
+}
+
+// ===== SOURCE VARIABLE SUGGESTIONS =====
+// Proposes the closest source names for a reference that no lookup resolved.
+// Names that only differ in the color/ prefix, a _100 suffix, _05 vs _5
+// padding or - vs / rank first, then the same
+// segments in another order, then names a few edits away.
+var MAX_SOURCE_SUGGESTIONS = 3;
+
+function suggestSourceVariables(reference, candidateNames) {
+  if (!reference) {
+    return [];
+  }
+
+  var wanted = normalizeSuggestionName(reference);
+  var wantedSegments = sortNameSegments(wanted);
+  var maxDistance = Math.max(2, Math.floor(wanted.length * 0.3));
+  var scored = [];
+
+  for (var i = 0; i < candidateNames.length; i++) {
+    var name = candidateNames[i];
+    var normalized = normalizeSuggestionName(name);
+    var score;
+    if (normalized === wanted) {
+      score = 0;
+    } else if (sortNameSegments(normalized) === wantedSegments) {
+      score = 0.5;
+    } else {
+      score = getEditDistance(wanted, normalized, maxDistance);
+      if (score > maxDistance) {
+        continue;
+      }
+    }
+    scored.push({ name: name, score: score });
+  }
+
+  scored.sort(function (a, b) {
+    return a.score - b.score || (a.name < b.name ? -1 : 1);
+  });
+
+  return scored.slice(0, MAX_SOURCE_SUGGESTIONS).map(function (entry) {
+    return entry.name;
+  });
+}
+
+function normalizeSuggestionName(name) {
+  var normalized = name
+    .toLowerCase()
+    .replace(/-/g, "/")
+    .replace(/^color\//, "");
+  var suffix = parseOpacitySuffix(normalized);
+  if (suffix) {
+    normalized =
+      suffix.opacity === 100 ? suffix.base : suffix.base + "_" + suffix.opacity;
+  }
+  return normalized;
+}
+
+function sortNameSegments(name) {
+  return name.split("/").sort().join("/");
+}
+
+// Levenshtein distance that gives up (returning limit + 1) once every
+// alignment is past the limit
+function getEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    var rowMin = i;
+    for (var k = 1; k <= b.length; k++) {
+      var cost = a.charAt(i - 1) === b.charAt(k - 1) ? 0 : 1;
+      current.push(
+        Math.min(previous[k] + 1, current[k - 1] + 1, previous[k - 1] + cost)
+      );
+      rowMin = Math.min(rowMin, current[k]);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// ===== DRY RUN =====
+// Computes what create-variables would do, without writing anything: mode
+// renames/adds, and per variable whether it would be created, updated (with
+// the old and new value per mode), left unchanged or fail.
+function computeDryRun(
+  variablesToCreate,
+  sourceCollectionId,
+  sourceCollectionType,
+  targetCollectionId,
+  modeMappings,
+  generateOptions
+) {
+  try {
+    console.log("🧾 Starting dry run:", {
+      variables: variablesToCreate.length,
+      source: sourceCollectionId,
+      target: targetCollectionId,
+    });
+
+    var collection =
+      figma.variables.getVariableCollectionById(targetCollectionId);
+    if (!collection) {
+      throw new Error("Target collection not found");
+    }
+
+    var plan = planCollectionModes(collection, modeMappings);
 
-  while ((match = varRegex.exec(cssBlock)) !== null) {
-    var varName = match[1].trim();
-    var reference = match[2].trim();
-    var opacity = match[3];
+    loadDryRunSourceLookup(sourceCollectionId, sourceCollectionType)
+      .then(function (lookup) {
+        var existingVariables = {};
+        var localVariables = figma.variables.getLocalVariables();
+        for (var i = 0; i < localVariables.length; i++) {
+          if (localVariables[i].variableCollectionId === collection.id) {
+            existingVariables[localVariables[i].name] = localVariables[i];
+          }
+        }
 
-    // Handle opacity values
-    if (opacity) {
-      if (opacity.length === 1) {
-        reference = reference + "_0" + opacity;
-      } else {
-        reference = reference + "_" + opacity;
+        var generateEnabled = !!(generateOptions && generateOptions.enabled);
+        var rows = variablesToCreate.map(function (item) {
+          return diffVariable(
+            item,
+            plan.modeTargets,
+            lookup,
+            existingVariables,
+            generateEnabled
+          );
+        });
+
+        var stale = findStaleVariables(
+          variablesToCreate,
+          existingVariables
+        ).map(function (variable) {
+          return {
+            variableName: variable.name,
+            resolvedType: variable.resolvedType,
+          };
+        });
+
+        var counts = { create: 0, update: 0, unchanged: 0, fail: 0 };
+        for (var r = 0; r < rows.length; r++) {
+          counts[rows[r].action]++;
+        }
+
+        console.log("✅ Dry run complete:", counts);
+
+        figma.ui.postMessage({
+          type: "dry-run-complete",
+          success: true,
+          results: {
+            modeChanges: plan.changes,
+            rows: rows,
+            stale: stale,
+            counts: counts,
+          },
+        });
+      })
+      .catch(function (error) {
+        console.error("❌ Dry run failed:", error);
+        figma.ui.postMessage({
+          type: "dry-run-complete",
+          success: false,
+          message: "Error computing changes: " + error.message,
+        });
+      });
+  } catch (error) {
+    console.error("❌ Dry run failed:", error);
+    figma.ui.postMessage({
+      type: "dry-run-complete",
+      success: false,
+      message: "Error computing changes: " + error.message,
+    });
+  }
+}
+
+// Returns { find, names }: find maps a reference to {id, key, name} (or null)
+// using the same lookup rules as the real run, but without importing
+// anything; names are the source names offered as suggestions
+function loadDryRunSourceLookup(sourceCollectionId, sourceCollectionType) {
+  if (sourceCollectionType !== "library") {
+    var sourceVariableMap = {};
+    var localVariables = figma.variables.getLocalVariables();
+    for (var i = 0; i < localVariables.length; i++) {
+      if (localVariables[i].variableCollectionId === sourceCollectionId) {
+        sourceVariableMap[localVariables[i].name] = localVariables[i];
       }
     }
+    return Promise.resolve({
+      find: function (reference) {
+        var sourceVar = findSourceVariable(sourceVariableMap, reference);
+        return sourceVar
+          ? { id: sourceVar.id, key: sourceVar.key, name: sourceVar.name }
+          : null;
+      },
+      names: Object.keys(sourceVariableMap),
+    });
+  }
 
-    variables[varName] = reference;
+  if (uploadedJsonData) {
+    return Promise.resolve({
+      find: function (reference) {
+        var key = findVariableKeyInJson(uploadedJsonData, reference);
+        return key ? { id: null, key: key, name: reference } : null;
+      },
+      names: getKeysJSONNames(uploadedJsonData),
+    });
   }
 
-  return variables;
+  return getLibraryCatalogVariables(sourceCollectionId).then(function (
+    libraryVariables
+  ) {
+    var libraryMap = {};
+    for (var i = 0; i < libraryVariables.length; i++) {
+      libraryMap[libraryVariables[i].name] = libraryVariables[i];
+    }
+    return {
+      find: function (reference) {
+        var libraryVar = findSourceVariable(libraryMap, reference);
+        return libraryVar
+          ? { id: null, key: libraryVar.key, name: libraryVar.name }
+          : null;
+      },
+      names: Object.keys(libraryMap),
+    };
+  });
 }
 
-// ===== CONVERT CSS VARIABLE NAME TO FIGMA FORMAT =====
-function convertCSSVariableToFigmaName(cssVariableName) {
-  // Remove -- prefix if present
-  var figmaName = cssVariableName;
-  if (figmaName.indexOf("--") === 0) {
-    figmaName = figmaName.substring(2);
+function diffVariable(
+  item,
+  modeTargets,
+  lookup,
+  existingVariables,
+  generateEnabled
+) {
+  var row = {
+    variableName: item.variableName,
+    resolvedType: item.resolvedType || "COLOR",
+    action: "create",
+    error: null,
+    modes: [],
+  };
+
+  var modeRefs = getModeReferences(item, modeTargets);
+  if (modeRefs.error) {
+    row.action = "fail";
+    row.error = modeRefs.error;
+    return row;
+  }
+
+  var targetVariable = existingVariables[item.variableName];
+  if (targetVariable && targetVariable.resolvedType !== row.resolvedType) {
+    row.action = "fail";
+    row.error =
+      "Existing variable is " +
+      targetVariable.resolvedType +
+      ", expected " +
+      row.resolvedType;
+    return row;
   }
 
-  // Replace hyphens with slashes
-  figmaName = figmaName.replace(/-/g, "/");
+  var anyChanged = false;
+  for (var i = 0; i < modeRefs.references.length; i++) {
+    var ref = modeRefs.references[i];
+    var to;
+    var changed;
+    var current = targetVariable
+      ? targetVariable.valuesByMode[ref.modeId]
+      : undefined;
+
+    if (ref.reference) {
+      var source = lookup.find(ref.reference);
+      var generated = false;
+      if (!source && generateEnabled && isGeneratableReference(item, ref)) {
+        source = { id: null, key: null, name: ref.reference };
+        generated = true;
+      }
+      if (!source) {
+        row.action = "fail";
+        row.error = ref.modeName + " source variable not found";
+        row.missingReference = createMissingReference(ref, lookup.names);
+        return row;
+      }
+      to = source.name + (generated ? " (generated)" : "");
+      changed = generated || !isAliasTo(current, source);
+    } else {
+      to = describeVariableValue(ref.value);
+      changed = current === undefined || !isSameValue(current, ref.value);
+    }
+
+    anyChanged = anyChanged || changed;
+    row.modes.push({
+      modeName: ref.modeName,
+      from: current === undefined ? null : describeVariableValue(current),
+      to: to,
+      changed: changed,
+    });
+  }
 
-  // Ensure color prefix
-  if (figmaName.indexOf("color/") !== 0) {
-    figmaName = "color/" + figmaName;
+  if (targetVariable) {
+    row.action = anyChanged ? "update" : "unchanged";
   }
+  return row;
+}
 
-  return figmaName;
+function isGeneratableReference(item, ref) {
+  var modeValue = item.modes ? item.modes[ref.selector] : null;
+  return !!(modeValue && modeValue.alpha);
 }
 
-// ===== CREATE VARIABLES FROM CSS MAPPINGS =====
-function createVariablesFromCSS(
-  variablesToCreate,
-  selectedSourceCollectionId,
+function isAliasTo(value, source) {
+  if (!value || value.type !== "VARIABLE_ALIAS") {
+    return false;
+  }
+  if (source.id && value.id === source.id) {
+    return true;
+  }
+  var current = figma.variables.getVariableById(value.id);
+  return !!(current && source.key && current.key === source.key);
+}
+
+function isSameValue(current, value) {
+  if (current && current.r !== undefined && value && value.r !== undefined) {
+    return formatHexColor(current) === formatHexColor(value);
+  }
+  return current === value;
+}
+
+function describeVariableValue(value) {
+  if (value && value.type === "VARIABLE_ALIAS") {
+    var variable = figma.variables.getVariableById(value.id);
+    return variable ? variable.name : "(missing variable)";
+  }
+  if (value && value.r !== undefined) {
+    return formatHexColor(value);
+  }
+  return String(value);
+}
+
+// ===== AUDIT OPACITY VARIABLES =====
+function auditOpacityVariables(
+  sourceCollectionId,
   sourceCollectionType,
-  collectionChoice,
-  existingCollectionId
+  targetCollectionId,
+  nodeScope
 ) {
   try {
-    console.log("🚀 Starting variable creation process...");
-    console.log("Initial parameters:", {
-      variablesToCreate: variablesToCreate.length,
-      selectedSourceCollectionId: selectedSourceCollectionId,
-      sourceCollectionType: sourceCollectionType,
-      collectionChoice: collectionChoice,
-      existingCollectionId: existingCollectionId,
-      hasJsonData: uploadedJsonData ? "Yes" : "No",
-    });
-
-    // Initial context log
-    var variablesList = [];
-    for (var i = 0; i < variablesToCreate.length; i++) {
-      var v = variablesToCreate[i];
-      variablesList.push({
-        name: v.variableName,
-        light: v.lightReference,
-        dark: v.darkReference,
-      });
-    }
-
-    console.log("📊 Variable Creation Context:", {
-      totalVariables: variablesToCreate.length,
-      sourceId: selectedSourceCollectionId,
+    console.log("🔎 Starting opacity variable audit:", {
+      sourceId: sourceCollectionId,
       sourceType: sourceCollectionType,
-      targetId: existingCollectionId,
-      hasJsonData: uploadedJsonData
-        ? "Yes (" + Object.keys(uploadedJsonData).length + " variables)"
-        : "No",
-      variables: variablesList,
+      targetId: targetCollectionId,
+      nodeScope: nodeScope || "none",
     });
 
-    // Find source collection from our loaded data
-    var sourceCollection = null;
-    var targetCollection = null;
-
-    // Get collections from our loaded data
-    if (collectionsLoaded) {
-      console.log("🔍 Collections are loaded, proceeding with lookup...");
+    var targetCollection =
+      figma.variables.getVariableCollectionById(targetCollectionId);
 
-      // Find source collection
-      var allCollections = figma.variables.getLocalVariableCollections();
-      console.log("📚 Found local collections:", allCollections.length);
+    if (!targetCollection) {
+      throw new Error("Target collection not found in Figma");
+    }
 
-      var localCollections = allCollections.map(function (collection) {
-        console.log("Processing local collection:", collection.name);
-        var variables = figma.variables
+    Promise.all([
+      loadAuditSourceVariables(sourceCollectionId, sourceCollectionType),
+      collectNodeVariableBindings(nodeScope),
+    ])
+      .then(function (loaded) {
+        var sourceVariables = loaded[0];
+        var nodeBindings = loaded[1];
+        var targetVariables = figma.variables
           .getLocalVariables()
           .filter(function (v) {
-            return v.variableCollectionId === collection.id;
+            return v.variableCollectionId === targetCollection.id;
           });
-        return createCollectionInfo(collection, variables, "local");
+
+        var opacityVariables = sourceVariables.filter(function (v) {
+          return hasOpacityInName(v.name);
+        });
+
+        console.log("📊 Audit Context:", {
+          sourceVariables: sourceVariables.length,
+          opacityVariables: opacityVariables.length,
+          targetVariables: targetVariables.length,
+          targetModes: targetCollection.modes.length,
+          boundNodes: nodeBindings.length,
+        });
+
+        var usage = analyzeVariableUsage(
+          opacityVariables,
+          targetVariables,
+          targetCollection,
+          nodeBindings
+        );
+
+        console.log("✅ Audit complete:", {
+          used: usage.used.length,
+          unused: usage.unused.length,
+        });
+
+        return loadDeletedVariableSnapshots().then(function (snapshots) {
+          return {
+            usage: usage,
+            totalScanned: sourceVariables.length,
+            opacityCount: opacityVariables.length,
+            restorableCount: snapshots.length,
+          };
+        });
+      })
+      .then(function (audit) {
+        figma.ui.postMessage({
+          type: "audit-complete",
+          success: true,
+          results: {
+            sourceCollectionId: sourceCollectionId,
+            sourceCollectionType: sourceCollectionType,
+            targetCollectionId: targetCollection.id,
+            targetCollectionName: targetCollection.name,
+            totalScanned: audit.totalScanned,
+            opacityCount: audit.opacityCount,
+            nodeScope: nodeScope || "none",
+            canDelete: sourceCollectionType !== "library",
+            restorableCount: audit.restorableCount,
+            used: audit.usage.used,
+            unused: audit.usage.unused,
+          },
+        });
+      })
+      .catch(function (error) {
+        console.error("❌ Audit Error:", {
+          error: error.message,
+          stack: error.stack,
+        });
+        figma.ui.postMessage({
+          type: "audit-complete",
+          success: false,
+          message: "Error auditing variables: " + error.message,
+        });
       });
+  } catch (error) {
+    console.error("❌ Audit Error:", error);
+    figma.ui.postMessage({
+      type: "audit-complete",
+      success: false,
+      message: "Error auditing variables: " + error.message,
+    });
+  }
+}
 
-      // Get library collections
-      console.log("🌐 Loading library collections...");
-      figma.teamLibrary
-        .getAvailableLibraryVariableCollectionsAsync()
-        .then(function (libraryCollections) {
-          console.log(
-            "📚 Found library collections:",
-            libraryCollections.length
-          );
-          return Promise.all(libraryCollections.map(processLibraryCollection));
-        })
-        .then(function (libraryInfo) {
-          console.log("✅ Library collections processed");
-          var validLibraries = libraryInfo.filter(function (lib) {
-            return lib !== null;
-          });
-          console.log("✅ Valid libraries:", validLibraries.length);
-          var allCollections = validLibraries.concat(localCollections);
+// Loads the variables of the audited collection as plain { id, key, name, resolvedType }
+// records. Library variables have no local id until imported, so they are matched by key.
+function loadAuditSourceVariables(sourceCollectionId, sourceCollectionType) {
+  if (sourceCollectionType === "library") {
+    return getLibraryCatalogVariables(sourceCollectionId).then(function (
+      libraryVariables
+    ) {
+      return libraryVariables.map(function (v) {
+        return {
+          id: null,
+          key: v.key,
+          name: v.name,
+          resolvedType: v.resolvedType,
+        };
+      });
+    });
+  }
 
-          // Find our collections
-          sourceCollection = allCollections.find(function (c) {
-            return c.id === selectedSourceCollectionId;
-          });
-          targetCollection = localCollections.find(function (c) {
-            return c.id === existingCollectionId;
-          });
+  var sourceCollection =
+    figma.variables.getVariableCollectionById(sourceCollectionId);
+  if (!sourceCollection) {
+    return Promise.reject(new Error("Source collection not found in Figma"));
+  }
 
-          console.log("🎯 Collection lookup results:", {
-            sourceFound: !!sourceCollection,
-            targetFound: !!targetCollection,
-            sourceId: selectedSourceCollectionId,
-            targetId: existingCollectionId,
-          });
+  var sourceVariables = figma.variables
+    .getLocalVariables()
+    .filter(function (v) {
+      return v.variableCollectionId === sourceCollection.id;
+    })
+    .map(function (v) {
+      return {
+        id: v.id,
+        key: v.key,
+        name: v.name,
+        resolvedType: v.resolvedType,
+      };
+    });
 
-          if (!sourceCollection || !targetCollection) {
-            throw new Error(
-              !sourceCollection
-                ? "Source collection not found"
-                : "Target collection not found"
-            );
-          }
+  return Promise.resolve(sourceVariables);
+}
 
-          // Log collection details
-          console.log("📊 Collections found:", {
-            source: {
-              id: sourceCollection.id,
-              type: sourceCollection.type,
-              name: sourceCollection.displayName,
-              variables: sourceCollection.variableCount,
-              modes: sourceCollection.modeCount,
-            },
-            target: {
-              id: targetCollection.id,
-              name:
-                targetCollection.displayName || targetCollection.collectionName,
-              variables: targetCollection.variableCount,
-              modes: targetCollection.modeCount,
-            },
-          });
+// Helper function to check if a variable uses the opacity naming pattern (name_NN)
+function hasOpacityInName(name) {
+  return parseOpacitySuffix(name) !== null;
+}
 
-          console.log("🚀 Starting variable processing...");
-          // Process variables with full context
-          processVariables(
-            variablesToCreate,
-            sourceCollection,
-            targetCollection,
-            sourceCollectionType,
-            collectionChoice,
-            [], // created
-            [], // updated
-            [] // failed
-          );
-        })
-        .catch(function (error) {
-          console.error("❌ Collection Loading Error:", {
-            error: error.message,
-            stack: error.stack,
-            context: {
-              sourceId: selectedSourceCollectionId,
-              targetId: existingCollectionId,
-            },
-          });
-          figma.ui.postMessage({
-            type: "creation-complete",
-            success: false,
-            message: error.message,
+// ===== ANALYZE VARIABLE USAGE =====
+function analyzeVariableUsage(
+  opacityVariables,
+  targetVariables,
+  targetCollection,
+  nodeBindings
+) {
+  var modeNames = {};
+  for (var m = 0; m < targetCollection.modes.length; m++) {
+    modeNames[targetCollection.modes[m].modeId] =
+      targetCollection.modes[m].name;
+  }
+
+  // Resolve every alias in the target collection once, across all modes
+  var targetReferences = [];
+  for (var i = 0; i < targetVariables.length; i++) {
+    targetReferences.push({
+      variable: targetVariables[i],
+      aliases: getVariableAliasReferences(targetVariables[i]),
+    });
+  }
+
+  // Index node bindings by variable id and key so each lookup is direct
+  var nodesById = {};
+  var nodesByKey = {};
+  for (var n = 0; n < (nodeBindings || []).length; n++) {
+    var binding = nodeBindings[n];
+    addNodeUsage(nodesById, binding.variableId, binding);
+    addNodeUsage(nodesByKey, binding.variableKey, binding);
+  }
+
+  var used = [];
+  var unused = [];
+
+  for (var j = 0; j < opacityVariables.length; j++) {
+    var sourceVariable = opacityVariables[j];
+    var references = [];
+
+    for (var k = 0; k < targetReferences.length; k++) {
+      var target = targetReferences[k];
+      for (var a = 0; a < target.aliases.length; a++) {
+        var alias = target.aliases[a];
+        if (isVariableReferencedInVariable(sourceVariable, alias)) {
+          references.push({
+            variableId: target.variable.id,
+            variableName: target.variable.name,
+            modeId: alias.modeId,
+            modeName: modeNames[alias.modeId] || alias.modeId,
+            via: alias.via,
           });
-        });
+        }
+      }
+    }
+
+    var nodes = mergeNodeUsage(
+      (sourceVariable.id && nodesById[sourceVariable.id]) || [],
+      (sourceVariable.key && nodesByKey[sourceVariable.key]) || []
+    );
+
+    var result = {
+      id: sourceVariable.id,
+      key: sourceVariable.key,
+      name: sourceVariable.name,
+      resolvedType: sourceVariable.resolvedType,
+      references: references,
+      nodes: nodes,
+    };
+
+    if (references.length > 0 || nodes.length > 0) {
+      used.push(result);
     } else {
-      console.error("❌ Collections not loaded!");
-      throw new Error("Collections not loaded. Please refresh and try again.");
+      unused.push(result);
+    }
+  }
+
+  var byName = function (a, b) {
+    return a.name.localeCompare(b.name);
+  };
+  used.sort(byName);
+  unused.sort(byName);
+
+  return {
+    used: used,
+    unused: unused,
+  };
+}
+
+function addNodeUsage(index, indexKey, binding) {
+  if (!indexKey) {
+    return;
+  }
+  if (!index[indexKey]) {
+    index[indexKey] = [];
+  }
+  index[indexKey].push(binding);
+}
+
+// Combines id and key matches into one entry per node with all bound properties
+function mergeNodeUsage(byId, byKey) {
+  var nodes = [];
+  var nodeMap = {};
+  var bindings = byId.concat(byKey);
+
+  for (var i = 0; i < bindings.length; i++) {
+    var binding = bindings[i];
+    var node = nodeMap[binding.nodeId];
+    if (!node) {
+      node = {
+        nodeId: binding.nodeId,
+        nodeName: binding.nodeName,
+        nodeType: binding.nodeType,
+        pageId: binding.pageId,
+        pageName: binding.pageName,
+        properties: [],
+      };
+      nodeMap[binding.nodeId] = node;
+      nodes.push(node);
+    }
+    if (node.properties.indexOf(binding.property) === -1) {
+      node.properties.push(binding.property);
     }
-  } catch (error) {
-    console.error("❌ Variable Creation Error:", {
-      error: error.message,
-      stack: error.stack,
-      context: {
-        variableCount: variablesToCreate.length,
-        sourceId: selectedSourceCollectionId,
-        targetId: existingCollectionId,
-      },
-    });
-    figma.ui.postMessage({
-      type: "creation-complete",
-      success: false,
-      message: "Error creating variables: " + error.message,
-    });
   }
+
+  return nodes;
 }
 
-// ===== PROCESS VARIABLES (MAIN LOGIC) =====
-function processVariables(
-  variablesToCreate,
-  sourceCollection,
-  targetCollection,
-  sourceCollectionType,
-  collectionChoice,
-  created,
-  updated,
-  failed
-) {
-  try {
-    console.log("🎯 Starting processVariables...");
-    // Get or create target collection
-    var figmaTargetCollection = figma.variables.getVariableCollectionById(
-      targetCollection.figmaId || targetCollection.id
-    );
+// Collects every variable a variable reaches through VARIABLE_ALIAS values,
+// directly or through intermediate aliases, one entry per mode
+function getVariableAliasReferences(variable) {
+  var aliases = [];
 
-    if (!figmaTargetCollection) {
-      console.error("❌ Target collection not found in Figma");
-      throw new Error("Target collection not found in Figma");
+  for (var modeId in variable.valuesByMode) {
+    var value = variable.valuesByMode[modeId];
+    if (!value || value.type !== "VARIABLE_ALIAS") {
+      continue;
     }
-    console.log("✅ Found target collection:", figmaTargetCollection.name);
 
-    // Setup modes
-    console.log("🎨 Setting up collection modes...");
-    var modes = setupCollectionModes(figmaTargetCollection);
-    var lightModeId = modes.lightModeId;
-    var darkModeId = modes.darkModeId;
+    var chain = expandAliasChain(value.id);
+    for (var i = 0; i < chain.length; i++) {
+      aliases.push({
+        modeId: modeId,
+        variableId: chain[i].variableId,
+        variableKey: chain[i].variableKey,
+        via: chain[i].via,
+      });
+    }
+  }
 
-    console.log("✅ Mode Configuration:", {
-      light: lightModeId,
-      dark: darkModeId,
-      collection: figmaTargetCollection.name,
-    });
+  return aliases;
+}
 
-    // Get existing variables in target collection
-    var existingVariables = {};
-    var localVariables = figma.variables.getLocalVariables();
-    for (var i = 0; i < localVariables.length; i++) {
-      var v = localVariables[i];
-      if (v.variableCollectionId === figmaTargetCollection.id) {
-        existingVariables[v.name] = v;
+// Helper function to check if an alias points at the given source variable.
+// Local variables match by id; imported library variables keep their library key.
+function isVariableReferencedInVariable(sourceVariable, alias) {
+  if (sourceVariable.id && alias.variableId === sourceVariable.id) {
+    return true;
+  }
+  return !!(sourceVariable.key && alias.variableKey === sourceVariable.key);
+}
+
+// ===== DELETE VARIABLES =====
+// Snapshots are kept per file: clientStorage is shared by every file the user
+// opens and collection ids are not unique across files
+var DELETED_SNAPSHOT_STORAGE_KEY = "deletedVariableSnapshots";
+
+function getDeletedSnapshotStorageKey() {
+  return DELETED_SNAPSHOT_STORAGE_KEY + "." + getDocumentId();
+}
+
+function handleDeleteVariables(variableIds) {
+  console.log("🗑️ Deleting variables:", {
+    requested: variableIds ? variableIds.length : 0,
+  });
+
+  var removed = [];
+  var failed = [];
+  var toRemove = [];
+  var snapshots = [];
+  var previousSnapshots = [];
+
+  // Layer bindings are checked across the whole document, whatever scope the
+  // audit that listed these variables ran with
+  collectNodeVariableBindings("document")
+    .then(function (bindings) {
+      var boundNodes = {};
+      for (var b = 0; b < bindings.length; b++) {
+        var binding = bindings[b];
+        boundNodes[binding.variableId] = boundNodes[binding.variableId] || {};
+        boundNodes[binding.variableId][binding.nodeId] = binding.nodeName;
       }
-    }
+      var localVariables = figma.variables.getLocalVariables();
 
-    console.log("📊 Existing Variables:", {
-      count: Object.keys(existingVariables).length,
-      names: Object.keys(existingVariables),
-    });
+      for (var i = 0; i < (variableIds || []).length; i++) {
+        var variable = figma.variables.getVariableById(variableIds[i]);
 
-    // Load source variables based on type
-    if (sourceCollectionType === "library") {
-      if (uploadedJsonData) {
-        console.log("🚀 Using JSON data for variable lookup");
-        console.log("JSON data size:", Object.keys(uploadedJsonData).length);
-        processLibraryVariablesWithJson(
-          variablesToCreate,
-          uploadedJsonData,
-          figmaTargetCollection,
-          existingVariables,
-          lightModeId,
-          darkModeId,
-          created,
-          updated,
-          failed
-        );
-      } else {
-        console.log("🐌 Using standard method for variable lookup");
-        figma.teamLibrary
-          .getVariablesInLibraryCollectionAsync(sourceCollection.id)
-          .then(function (libraryVariables) {
-            var libVarList = [];
-            for (var i = 0; i < libraryVariables.length; i++) {
-              libVarList.push({
-                name: libraryVariables[i].name,
-                key: libraryVariables[i].key,
-              });
-            }
+        if (!variable || variable.remote) {
+          failed.push({
+            variableName: variable ? variable.name : variableIds[i],
+            collectionName: "",
+            error: variable
+              ? "Library variables cannot be deleted from this file"
+              : "Variable not found",
+          });
+          continue;
+        }
 
-            console.log("Library Variables:", {
-              count: libraryVariables.length,
-              variables: libVarList,
-              sourceKey: sourceCollection.id,
-            });
+        // Never delete a variable that another local variable still aliases
+        var referencedBy = findLocalAliasReferences(variable, localVariables);
+        if (referencedBy.length > 0) {
+          failed.push({
+            variableName: variable.name,
+            collectionName: getVariableCollectionName(variable),
+            error: "Still referenced by " + referencedBy.join(", "),
+          });
+          continue;
+        }
 
-            // Create variable map
-            var sourceVariableMap = {};
-            for (var i = 0; i < libraryVariables.length; i++) {
-              sourceVariableMap[libraryVariables[i].name] = libraryVariables[i];
-            }
+        // Nor one that a layer is still bound to
+        var nodeNames = boundNodes[variable.id]
+          ? Object.keys(boundNodes[variable.id]).map(function (nodeId) {
+              return boundNodes[variable.id][nodeId];
+            })
+          : [];
+        if (nodeNames.length > 0) {
+          failed.push({
+            variableName: variable.name,
+            collectionName: getVariableCollectionName(variable),
+            error:
+              "Still bound to " +
+              nodeNames.length +
+              (nodeNames.length === 1 ? " layer (" : " layers (") +
+              nodeNames.slice(0, 3).join(", ") +
+              (nodeNames.length > 3 ? ", ..." : "") +
+              ")",
+          });
+          continue;
+        }
 
-            // Process with loaded variables
-            processLibraryVariables(
-              variablesToCreate,
-              sourceVariableMap,
-              figmaTargetCollection,
-              existingVariables,
-              lightModeId,
-              darkModeId,
-              created,
-              updated,
-              failed
-            );
-          })
-          .catch(function (error) {
-            console.error("Library Variable Loading Error:", {
-              error: error.message,
-              stack: error.stack,
-              context: {
-                sourceCollection: sourceCollection.id,
-                variableCount: variablesToCreate.length,
-              },
-            });
-            throw error;
+        toRemove.push(variable);
+      }
+
+      snapshots = toRemove.map(createVariableSnapshot);
+
+      // Store the snapshot before anything is removed so it can be restored
+      return loadDeletedVariableSnapshots();
+    })
+    .then(function (existing) {
+      previousSnapshots = existing;
+      return figma.clientStorage.setAsync(
+        getDeletedSnapshotStorageKey(),
+        existing.concat(snapshots)
+      );
+    })
+    .then(function () {
+      var removedSnapshots = [];
+
+      for (var j = 0; j < toRemove.length; j++) {
+        try {
+          toRemove[j].remove();
+          removedSnapshots.push(snapshots[j]);
+          removed.push({
+            variableName: snapshots[j].name,
+            variableId: snapshots[j].id,
+            collectionName: snapshots[j].collectionName,
+          });
+        } catch (e) {
+          failed.push({
+            variableName: snapshots[j].name,
+            collectionName: snapshots[j].collectionName,
+            error:
+              e.message &&
+              e.message.includes("Removing this node is not allowed")
+                ? "Removing this variable is not allowed (it is in use)"
+                : e.message,
           });
+        }
       }
-    } else {
-      console.log("📝 Processing local variables...");
-      // Load local variables
-      var sourceVariables = figma.variables
-        .getLocalVariables()
-        .filter(function (v) {
-          return v.variableCollectionId === sourceCollection.id;
-        });
 
-      var localVarList = [];
-      for (var i = 0; i < sourceVariables.length; i++) {
-        localVarList.push({
-          name: sourceVariables[i].name,
-          id: sourceVariables[i].id,
+      // Only keep snapshots of variables that were actually removed
+      var kept = previousSnapshots.concat(removedSnapshots);
+      return figma.clientStorage
+        .setAsync(getDeletedSnapshotStorageKey(), kept)
+        .then(function () {
+          return kept.length;
         });
-      }
+    })
+    .then(function (restorableCount) {
+      console.log("✅ Deletion complete:", {
+        removed: removed.length,
+        failed: failed.length,
+      });
 
-      console.log("Local Variables:", {
-        count: sourceVariables.length,
-        variables: localVarList,
+      figma.ui.postMessage({
+        type: "deletion-complete",
+        success: true,
+        results: {
+          created: [],
+          updated: [],
+          removed: removed,
+          failed: failed,
+          restorableCount: restorableCount,
+        },
       });
+    })
+    .catch(function (error) {
+      console.error("❌ Deletion Error:", error);
+      figma.ui.postMessage({
+        type: "deletion-complete",
+        success: false,
+        message: "Error deleting variables: " + error.message,
+      });
+    });
+}
 
-      // Create variable map
-      var sourceVariableMap = {};
-      for (var i = 0; i < sourceVariables.length; i++) {
-        sourceVariableMap[sourceVariables[i].name] = sourceVariables[i];
-      }
+// Captures everything needed to recreate a variable after it has been removed
+function createVariableSnapshot(variable) {
+  var collection = figma.variables.getVariableCollectionById(
+    variable.variableCollectionId
+  );
+  var modeNames = {};
+  if (collection) {
+    for (var i = 0; i < collection.modes.length; i++) {
+      modeNames[collection.modes[i].modeId] = collection.modes[i].name;
+    }
+  }
 
-      // Process with loaded variables
-      processLocalVariables(
-        variablesToCreate,
-        sourceVariableMap,
-        figmaTargetCollection,
-        existingVariables,
-        lightModeId,
-        darkModeId,
-        created,
-        updated,
-        failed
-      );
+  return {
+    id: variable.id,
+    name: variable.name,
+    resolvedType: variable.resolvedType,
+    description: variable.description || "",
+    collectionId: variable.variableCollectionId,
+    collectionName: collection ? collection.name : "",
+    scopes: variable.scopes ? variable.scopes.slice() : [],
+    valuesByMode: JSON.parse(JSON.stringify(variable.valuesByMode)),
+    modeNames: modeNames,
+    deletedAt: Date.now(),
+  };
+}
 
-      sendResults(created, updated, failed, variablesToCreate.length);
+// Returns the names of local variables (in any mode) that alias the given variable
+function findLocalAliasReferences(variable, localVariables) {
+  var names = [];
+  var source = { id: variable.id, key: variable.key };
+
+  for (var i = 0; i < localVariables.length; i++) {
+    if (localVariables[i].id === variable.id) {
+      continue;
     }
-  } catch (error) {
-    console.error("❌ Variable Processing Error:", {
-      error: error.message,
-      stack: error.stack,
-      context: {
-        sourceCollection: sourceCollection.id,
-        targetCollection: targetCollection.id,
-        variableCount: variablesToCreate.length,
-      },
+    var aliases = getVariableAliasReferences(localVariables[i]);
+    for (var j = 0; j < aliases.length; j++) {
+      if (isVariableReferencedInVariable(source, aliases[j])) {
+        names.push(localVariables[i].name);
+        break;
+      }
+    }
+  }
+
+  return names;
+}
+
+function getVariableCollectionName(variable) {
+  var collection = figma.variables.getVariableCollectionById(
+    variable.variableCollectionId
+  );
+  return collection ? collection.name : "";
+}
+
+function loadDeletedVariableSnapshots() {
+  return figma.clientStorage
+    .getAsync(getDeletedSnapshotStorageKey())
+    .then(function (snapshots) {
+      return snapshots || [];
     });
-    figma.ui.postMessage({
-      type: "creation-complete",
-      success: false,
-      message: "Error processing variables: " + error.message,
+}
+
+// ===== RESTORE DELETED VARIABLES =====
+function handleRestoreDeletedVariables() {
+  loadDeletedVariableSnapshots()
+    .then(function (snapshots) {
+      console.log("♻️ Restoring deleted variables:", snapshots.length);
+
+      var restored = [];
+      var failed = [];
+      var remaining = [];
+
+      for (var i = 0; i < snapshots.length; i++) {
+        var snapshot = snapshots[i];
+        var variable = null;
+        try {
+          var collection = figma.variables.getVariableCollectionById(
+            snapshot.collectionId
+          );
+          if (!collection) {
+            throw new Error(
+              "Collection '" + snapshot.collectionName + "' no longer exists"
+            );
+          }
+
+          variable = figma.variables.createVariable(
+            snapshot.name,
+            collection,
+            snapshot.resolvedType
+          );
+          if (snapshot.description) {
+            variable.description = snapshot.description;
+          }
+          if (snapshot.scopes && snapshot.scopes.length) {
+            variable.scopes = snapshot.scopes;
+          }
+
+          var skippedModes = [];
+          for (var modeId in snapshot.valuesByMode) {
+            var modeExists = collection.modes.some(function (m) {
+              return m.modeId === modeId;
+            });
+            if (!modeExists) {
+              skippedModes.push(snapshot.modeNames[modeId] || modeId);
+              continue;
+            }
+            variable.setValueForMode(modeId, snapshot.valuesByMode[modeId]);
+          }
+
+          restored.push({
+            variableName: snapshot.name,
+            variableId: variable.id,
+            collectionName: collection.name,
+            warning: skippedModes.length
+              ? "Modes no longer exist: " + skippedModes.join(", ")
+              : null,
+          });
+        } catch (error) {
+          // A half-restored variable would be duplicated by the next retry
+          if (variable) {
+            try {
+              variable.remove();
+            } catch (removeError) {
+              console.warn(
+                "⚠️ Could not remove partly restored variable:",
+                removeError
+              );
+            }
+          }
+          remaining.push(snapshot);
+          failed.push({
+            variableName: snapshot.name,
+            collectionName: snapshot.collectionName,
+            error: error.message,
+          });
+        }
+      }
+
+      // Keep snapshots that could not be restored so they can be retried
+      return figma.clientStorage
+        .setAsync(getDeletedSnapshotStorageKey(), remaining)
+        .then(function () {
+          console.log("✅ Restore complete:", {
+            restored: restored.length,
+            failed: failed.length,
+          });
+
+          figma.ui.postMessage({
+            type: "restore-complete",
+            success: true,
+            results: {
+              created: restored,
+              updated: [],
+              removed: [],
+              failed: failed,
+              restorableCount: remaining.length,
+            },
+          });
+        });
+    })
+    .catch(function (error) {
+      console.error("❌ Restore Error:", error);
+      figma.ui.postMessage({
+        type: "restore-complete",
+        success: false,
+        message: "Error restoring variables: " + error.message,
+      });
     });
-  }
 }
 
-// ===== SETUP COLLECTION MODES =====
-function setupCollectionModes(collection) {
-  var lightModeId = collection.defaultModeId;
-  var darkModeId = null;
+// ===== COLLECT NODE VARIABLE BINDINGS =====
+// Walks the current page or the whole document and returns one record per
+// (node, property, variable) binding. Scope "none" skips the canvas entirely.
+function collectNodeVariableBindings(nodeScope) {
+  if (nodeScope !== "page" && nodeScope !== "document") {
+    return Promise.resolve([]);
+  }
 
-  var modes = collection.modes;
+  var loadPages =
+    nodeScope === "document" && figma.loadAllPagesAsync
+      ? figma.loadAllPagesAsync()
+      : Promise.resolve();
+
+  return loadPages.then(function () {
+    var pages =
+      nodeScope === "document" ? figma.root.children : [figma.currentPage];
+    var bindings = [];
+    var chainCache = {};
+
+    for (var p = 0; p < pages.length; p++) {
+      var page = pages[p];
+      var nodes = page.findAll();
+
+      for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i];
+        var bound = getNodeBoundVariables(node);
+
+        for (var j = 0; j < bound.length; j++) {
+          var variableId = bound[j].variableId;
+          if (!chainCache[variableId]) {
+            chainCache[variableId] = expandAliasChain(variableId);
+          }
 
-  if (modes.length === 1) {
-    // Only one mode, rename to Light and add Dark
-    collection.renameMode(lightModeId, "Light");
-    darkModeId = collection.addMode("Dark");
-  } else {
-    // Multiple modes, find Light and Dark
-    for (var i = 0; i < modes.length; i++) {
-      var mode = modes[i];
-      var modeName = mode.name.toLowerCase();
-      if (modeName.indexOf("light") !== -1) {
-        lightModeId = mode.modeId;
-      } else if (modeName.indexOf("dark") !== -1) {
-        darkModeId = mode.modeId;
+          // A layer bound to an alias also uses everything the alias resolves through
+          var chain = chainCache[variableId];
+          for (var k = 0; k < chain.length; k++) {
+            bindings.push({
+              nodeId: node.id,
+              nodeName: node.name,
+              nodeType: node.type,
+              pageId: page.id,
+              pageName: page.name,
+              property: bound[j].property,
+              variableId: chain[k].variableId,
+              variableKey: chain[k].variableKey,
+            });
+          }
+        }
       }
     }
 
-    // Add Dark mode if not found
-    if (!darkModeId) {
-      darkModeId = collection.addMode("Dark");
+    console.log("🖼️ Node bindings collected:", {
+      scope: nodeScope,
+      pages: pages.length,
+      bindings: bindings.length,
+    });
+
+    return bindings;
+  });
+}
+
+// Returns the unique { property, variableId } pairs bound on a node, including
+// bindings nested inside fills, strokes and effects
+function getNodeBoundVariables(node) {
+  var found = [];
+  collectAliasIds(node.boundVariables, null, found);
+
+  var paintProperties = ["fills", "strokes", "effects"];
+  for (var i = 0; i < paintProperties.length; i++) {
+    var items = node[paintProperties[i]];
+    if (!Array.isArray(items)) {
+      continue;
+    }
+    for (var j = 0; j < items.length; j++) {
+      collectAliasIds(items[j].boundVariables, paintProperties[i], found);
     }
   }
 
-  return {
-    lightModeId: lightModeId,
-    darkModeId: darkModeId,
-  };
+  var seen = {};
+  return found.filter(function (binding) {
+    var id = binding.property + "|" + binding.variableId;
+    if (seen[id]) {
+      return false;
+    }
+    seen[id] = true;
+    return true;
+  });
 }
 
-// ===== PROCESS LOCAL VARIABLES =====
-function processLocalVariables(
-  variablesToCreate,
-  sourceVariableMap,
-  targetCollection,
-  existingVariables,
-  lightModeId,
-  darkModeId,
-  created,
-  updated,
-  failed
-) {
-  console.log("Processing Variables:", {
-    total: variablesToCreate.length,
-    type: "local",
-  });
+function collectAliasIds(value, property, found) {
+  if (!value || typeof value !== "object") {
+    return;
+  }
 
-  for (var i = 0; i < variablesToCreate.length; i++) {
-    var item = variablesToCreate[i];
+  if (value.type === "VARIABLE_ALIAS" && value.id) {
+    found.push({ property: property, variableId: value.id });
+    return;
+  }
 
-    try {
-      // Find source variables
-      var lightSourceVar = findSourceVariable(
-        sourceVariableMap,
-        item.lightReference
-      );
-      var darkSourceVar = findSourceVariable(
-        sourceVariableMap,
-        item.darkReference
-      );
+  for (var key in value) {
+    collectAliasIds(value[key], property || key, found);
+  }
+}
 
-      if (!lightSourceVar || !darkSourceVar) {
-        failed.push({
-          variableName: item.variableName,
-          lightReference: item.lightReference,
-          darkReference: item.darkReference,
-          error:
-            (!lightSourceVar ? "Light" : "Dark") + " source variable not found",
-        });
-        continue;
-      }
+// ===== SELECT NODES =====
+function selectNodes(nodeIds) {
+  var nodes = (nodeIds || [])
+    .map(function (id) {
+      return figma.getNodeById(id);
+    })
+    .filter(function (node) {
+      return node && node.type !== "PAGE" && node.type !== "DOCUMENT";
+    });
 
-      // Get or create target variable
-      var targetVariable = existingVariables[item.variableName];
-      var wasUpdated = !!targetVariable;
+  if (nodes.length === 0) {
+    figma.notify("Layer no longer exists");
+    return;
+  }
+
+  // Switch to the page of the first node; selection cannot span pages
+  var page = nodes[0];
+  while (page && page.type !== "PAGE") {
+    page = page.parent;
+  }
+  if (page && figma.currentPage !== page) {
+    figma.currentPage = page;
+  }
+
+  var onPage = nodes.filter(function (node) {
+    var parent = node;
+    while (parent && parent.type !== "PAGE") {
+      parent = parent.parent;
+    }
+    return parent === page;
+  });
 
-      if (!targetVariable) {
-        targetVariable = figma.variables.createVariable(
-          item.variableName,
-          targetCollection,
-          "COLOR"
-        );
-        existingVariables[item.variableName] = targetVariable;
-      }
+  figma.currentPage.selection = onPage;
+  figma.viewport.scrollAndZoomIntoView(onPage);
+}
 
-      // Create aliases
-      var lightAlias = figma.variables.createVariableAlias(lightSourceVar);
-      var darkAlias = figma.variables.createVariableAlias(darkSourceVar);
+// ===== RESOLVE ALIAS CHAINS =====
+// Returns the variable itself plus every variable reachable from it through
+// VARIABLE_ALIAS values in any mode. Each entry lists the intermediate
+// variable names in `via`. Cycles are cut at the first repeated variable.
+function expandAliasChain(variableId) {
+  var chain = [];
+  var visited = {};
 
-      // Set values for modes
-      targetVariable.setValueForMode(lightModeId, lightAlias);
-      targetVariable.setValueForMode(darkModeId, darkAlias);
+  function visit(id, via) {
+    if (visited[id]) {
+      return;
+    }
+    visited[id] = true;
 
-      // Record result
-      var result = {
-        variableName: item.variableName,
-        lightReference: item.lightReference,
-        darkReference: item.darkReference,
-        lightSourceVar: lightSourceVar.name,
-        darkSourceVar: darkSourceVar.name,
-      };
+    var variable = figma.variables.getVariableById(id);
+    chain.push({
+      variableId: id,
+      variableKey: variable ? variable.key : null,
+      via: via,
+    });
 
-      if (wasUpdated) {
-        updated.push(result);
-      } else {
-        created.push(result);
+    if (!variable) {
+      return;
+    }
+
+    var nextVia = via.concat([variable.name]);
+    for (var modeId in variable.valuesByMode) {
+      var value = variable.valuesByMode[modeId];
+      if (value && value.type === "VARIABLE_ALIAS") {
+        visit(value.id, nextVia);
       }
-    } catch (error) {
-      failed.push({
-        variableName: item.variableName,
-        lightReference: item.lightReference,
-        darkReference: item.darkReference,
-        error: error.message,
-      });
     }
   }
+
+  visit(variableId, []);
+  return chain;
 }
 
-// ===== PROCESS LIBRARY VARIABLES WITH JSON =====
-function processLibraryVariablesWithJson(
-  variablesToCreate,
-  jsonData,
-  targetCollection,
-  existingVariables,
-  lightModeId,
-  darkModeId,
-  created,
-  updated,
-  failed
-) {
-  console.log("🔄 Starting JSON-based variable processing:", {
-    toCreate: variablesToCreate.length,
-    jsonVars: Object.keys(jsonData).length,
-    targetCollection: targetCollection.name,
-    existingVars: Object.keys(existingVariables).length,
-    lightMode: lightModeId,
-    darkMode: darkModeId,
-  });
+// Helper function to check if following aliases from one variable reaches another
+function aliasChainIncludes(fromVariableId, variableId) {
+  var chain = expandAliasChain(fromVariableId);
+  for (var i = 0; i < chain.length; i++) {
+    if (chain[i].variableId === variableId) {
+      return true;
+    }
+  }
+  return false;
+}
 
-  // Log first few variables to be created for debugging
-  console.log(
-    "📝 First few variables to create:",
-    variablesToCreate.slice(0, 3).map(function (v) {
+// Follows a variable's alias chain in one mode until a raw value is reached.
+// When the chain crosses into another collection, the mode with the same name
+// is used, falling back to that collection's default mode.
+function resolveVariableValue(variable, modeId) {
+  var chain = [];
+  var visited = {};
+  var modeName = getModeName(variable.variableCollectionId, modeId);
+  var current = variable;
+  var currentModeId = modeId;
+
+  while (current) {
+    if (visited[current.id]) {
       return {
-        name: v.variableName,
-        light: v.lightReference,
-        dark: v.darkReference,
+        value: null,
+        chain: chain,
+        error:
+          "Alias cycle detected: " + chain.concat([current.name]).join(" → "),
       };
-    })
-  );
+    }
+    visited[current.id] = true;
+    chain.push(current.name);
 
-  // Log first few JSON entries for debugging
-  var firstFewJsonKeys = Object.keys(jsonData).slice(0, 3);
-  var firstFewEntries = {};
-  for (var k = 0; k < firstFewJsonKeys.length; k++) {
-    var key = firstFewJsonKeys[k];
-    firstFewEntries[key] = jsonData[key];
+    var value = current.valuesByMode[currentModeId];
+    if (value === undefined) {
+      value = current.valuesByMode[getDefaultModeId(current)];
+    }
+
+    if (!value || value.type !== "VARIABLE_ALIAS") {
+      return {
+        value: value === undefined ? null : value,
+        resolvedType: current.resolvedType,
+        chain: chain,
+        error: value === undefined ? "No value for mode" : null,
+      };
+    }
+
+    var next = figma.variables.getVariableById(value.id);
+    if (!next) {
+      return {
+        value: null,
+        chain: chain,
+        error: "Aliased variable " + value.id + " not found",
+      };
+    }
+
+    if (next.variableCollectionId !== current.variableCollectionId) {
+      currentModeId =
+        findModeIdByName(next.variableCollectionId, modeName) ||
+        getDefaultModeId(next);
+    }
+    current = next;
   }
-  console.log("🔍 First few JSON entries:", firstFewEntries);
+}
 
-  var promises = [];
-  var processedCount = 0;
-  var startTime = Date.now();
+function getModeName(collectionId, modeId) {
+  var collection = figma.variables.getVariableCollectionById(collectionId);
+  if (!collection) {
+    return null;
+  }
+  for (var i = 0; i < collection.modes.length; i++) {
+    if (collection.modes[i].modeId === modeId) {
+      return collection.modes[i].name;
+    }
+  }
+  return null;
+}
 
-  // Create a promise for each variable
-  for (var i = 0; i < variablesToCreate.length; i++) {
-    var item = variablesToCreate[i];
-    console.log(
-      "📝 Processing variable " +
-        (i + 1) +
-        "/" +
-        variablesToCreate.length +
-        ":",
-      item.variableName
-    );
+// Finds a mode by exact name first, then by a case-insensitive partial match
+// (so "Dark" matches a "Dark Mode" mode)
+function findModeIdByName(collectionId, modeName) {
+  var collection = figma.variables.getVariableCollectionById(collectionId);
+  if (!collection || !modeName) {
+    return null;
+  }
 
-    var promise = processLibraryVariableWithJson(
-      item,
-      jsonData,
-      targetCollection,
-      existingVariables,
-      lightModeId,
-      darkModeId,
-      created,
-      updated,
-      failed
-    ).then(function () {
-      processedCount++;
-      if (processedCount % 10 === 0) {
-        var elapsed = (Date.now() - startTime) / 1000;
-        var rate = processedCount / elapsed;
-        console.log(
-          "✅ Progress: " +
-            processedCount +
-            "/" +
-            variablesToCreate.length +
-            " variables (" +
-            rate.toFixed(1) +
-            " vars/sec)"
-        );
-      }
-    });
+  var wanted = modeName.toLowerCase();
+  var partial = null;
+  for (var i = 0; i < collection.modes.length; i++) {
+    var name = collection.modes[i].name.toLowerCase();
+    if (name === wanted) {
+      return collection.modes[i].modeId;
+    }
+    if (!partial && name.indexOf(wanted) !== -1) {
+      partial = collection.modes[i].modeId;
+    }
+  }
+  return partial;
+}
 
-    promises.push(promise);
+function getDefaultModeId(variable) {
+  var collection = figma.variables.getVariableCollectionById(
+    variable.variableCollectionId
+  );
+  if (collection) {
+    return collection.defaultModeId;
   }
+  return Object.keys(variable.valuesByMode)[0];
+}
 
-  // Wait for all imports to complete
-  Promise.all(promises)
-    .then(function () {
-      var totalTime = (Date.now() - startTime) / 1000;
-      console.log("✅ All JSON-based library imports completed:", {
-        total: variablesToCreate.length,
-        created: created.length,
-        updated: updated.length,
-        failed: failed.length,
-        timeSeconds: totalTime.toFixed(1),
-        ratePerSecond: (variablesToCreate.length / totalTime).toFixed(1),
+// ===== RESOLVE PREVIEW REFERENCES =====
+// Resolves each { reference, modeName } pair to its final value in the source
+// collection so the preview can show the colour a mapping will produce.
+function resolvePreviewReferences(
+  references,
+  sourceCollectionId,
+  sourceCollectionType
+) {
+  loadResolvableSourceVariables(
+    references,
+    sourceCollectionId,
+    sourceCollectionType
+  )
+    .then(function (sourceVariableMap) {
+      var resolved = {};
+
+      for (var i = 0; i < references.length; i++) {
+        var request = references[i];
+        var resultKey = request.modeName + "|" + request.reference;
+        if (resolved[resultKey]) {
+          continue;
+        }
+
+        var variable = findSourceVariable(sourceVariableMap, request.reference);
+        if (!variable) {
+          resolved[resultKey] = {
+            value: null,
+            chain: [],
+            error: "Source variable not found",
+          };
+          continue;
+        }
+
+        var modeId =
+          findModeIdByName(variable.variableCollectionId, request.modeName) ||
+          getDefaultModeId(variable);
+        resolved[resultKey] = resolveVariableValue(variable, modeId);
+      }
+
+      figma.ui.postMessage({
+        type: "references-resolved",
+        success: true,
+        resolved: resolved,
       });
-      sendResults(created, updated, failed, variablesToCreate.length);
     })
     .catch(function (error) {
-      console.error("❌ JSON Library Import Error:", {
-        error: error.message,
-        stack: error.stack,
-        processed: processedCount,
-        total: variablesToCreate.length,
-        timeSeconds: ((Date.now() - startTime) / 1000).toFixed(1),
+      console.error("❌ Reference Resolution Error:", error);
+      figma.ui.postMessage({
+        type: "references-resolved",
+        success: false,
+        message: "Error resolving references: " + error.message,
       });
-      sendResults(created, updated, failed, variablesToCreate.length);
     });
 }
 
-function processLibraryVariableWithJson(
-  item,
-  jsonData,
-  targetCollection,
-  existingVariables,
-  lightModeId,
-  darkModeId,
-  created,
-  updated,
-  failed
+// Builds a name → Variable map for the referenced source variables. Library
+// variables have to be imported before their values can be read; the imports
+// are recorded so cleanupImportedVariables() removes them again.
+function loadResolvableSourceVariables(
+  references,
+  sourceCollectionId,
+  sourceCollectionType
 ) {
-  return new Promise(function (resolve) {
-    try {
-      console.log("🔍 Looking up variable:", {
-        name: item.variableName,
-        light: item.lightReference,
-        dark: item.darkReference,
-      });
-
-      // Find variable keys in JSON data
-      var lightKey = findVariableKeyInJson(jsonData, item.lightReference);
-      var darkKey = findVariableKeyInJson(jsonData, item.darkReference);
+  if (sourceCollectionType !== "library") {
+    var sourceVariableMap = {};
+    var localVariables = figma.variables.getLocalVariables();
+    for (var i = 0; i < localVariables.length; i++) {
+      if (localVariables[i].variableCollectionId === sourceCollectionId) {
+        sourceVariableMap[localVariables[i].name] = localVariables[i];
+      }
+    }
+    return Promise.resolve(sourceVariableMap);
+  }
 
-      if (!lightKey || !darkKey) {
-        console.warn("⚠️ Key not found:", {
-          variable: item.variableName,
-          lightFound: !!lightKey,
-          darkFound: !!darkKey,
-        });
+  return getLibraryCatalogVariables(sourceCollectionId)
+    .then(function (libraryVariables) {
+      var libraryMap = {};
+      for (var i = 0; i < libraryVariables.length; i++) {
+        libraryMap[libraryVariables[i].name] = libraryVariables[i];
+      }
 
-        failed.push({
-          variableName: item.variableName,
-          lightReference: item.lightReference,
-          darkReference: item.darkReference,
-          error: !lightKey
-            ? "Variable key not found in uploaded JSON file for light reference"
-            : "Variable key not found in uploaded JSON file for dark reference",
-        });
-        resolve();
-        return;
+      var keys = [];
+      for (var j = 0; j < references.length; j++) {
+        var libraryVariable = findSourceVariable(
+          libraryMap,
+          references[j].reference
+        );
+        if (libraryVariable && keys.indexOf(libraryVariable.key) === -1) {
+          keys.push(libraryVariable.key);
+        }
       }
 
-      console.log("✅ Found keys:", {
-        variable: item.variableName,
-        light: lightKey,
-        dark: darkKey,
-      });
+      return Promise.all(
+        keys.map(function (key) {
+          return figma.variables
+            .importVariableByKeyAsync(key)
+            .catch(function (error) {
+              console.warn("Failed to import variable:", key, error);
+              return null;
+            });
+        })
+      );
+    })
+    .then(function (imported) {
+      var sourceVariableMap = {};
+      var importedIds = [];
+      for (var i = 0; i < imported.length; i++) {
+        if (imported[i]) {
+          sourceVariableMap[imported[i].name] = imported[i];
+          importedIds.push(imported[i].id);
+        }
+      }
 
-      // Get or create target variable
-      var targetVariable = existingVariables[item.variableName];
-      var wasUpdated = !!targetVariable;
+      return figma.clientStorage
+        .getAsync("importedVariableIds")
+        .then(function (ids) {
+          return figma.clientStorage.setAsync(
+            "importedVariableIds",
+            (ids || []).concat(importedIds)
+          );
+        })
+        .then(function () {
+          return sourceVariableMap;
+        });
+    });
+}
 
-      if (!targetVariable) {
-        console.log("➕ Creating new variable:", item.variableName);
-        targetVariable = figma.variables.createVariable(
-          item.variableName,
-          targetCollection,
-          "COLOR"
-        );
-        existingVariables[item.variableName] = targetVariable;
-      } else {
-        console.log("🔄 Updating existing variable:", item.variableName);
-      }
+// ===== GENERATE MISSING OPACITY VARIABLES =====
+// For every --alpha(var(--x) / N%) reference whose x_N variable does not exist
+// in the source collection, creates it in the chosen local collection from the
+// base colour. Values are copied per mode with the alpha multiplied in, since an
+// alias cannot change alpha; a 100% reference simply aliases the base colour.
+function generateMissingOpacityVariables(
+  variablesToCreate,
+  sourceCollection,
+  sourceCollectionType,
+  options,
+  modeMappings
+) {
+  generatedOpacityVariables = {};
+  generatedOpacityResults = [];
 
-      // Import library variables using keys from JSON
-      console.log("🔄 Importing library variables...");
-      var lightPromise = figma.variables.importVariableByKeyAsync(lightKey);
-      var darkPromise =
-        lightKey === darkKey
-          ? lightPromise
-          : figma.variables.importVariableByKeyAsync(darkKey);
+  if (!options || !options.enabled) {
+    return Promise.resolve();
+  }
 
-      Promise.all([lightPromise, darkPromise])
-        .then(function (imported) {
-          var importedLight = imported[0];
-          var importedDark = imported[1];
+  var collection = figma.variables.getVariableCollectionById(
+    options.collectionId
+  );
+  if (!collection) {
+    return Promise.reject(
+      new Error("Collection for generated opacity variables not found")
+    );
+  }
 
-          console.log("✅ Variables imported:", {
-            variable: item.variableName,
-            light: importedLight.name,
-            dark: importedDark.name,
-          });
+  var requests = {};
+  var references = [];
+  for (var i = 0; i < variablesToCreate.length; i++) {
+    var modes = variablesToCreate[i].modes || {};
+    for (var j = 0; j < (modeMappings || []).length; j++) {
+      var modeValue = modes[modeMappings[j].selector];
+      var alpha = modeValue ? modeValue.alpha : null;
+      if (alpha && !requests[alpha.reference]) {
+        requests[alpha.reference] = alpha;
+        references.push({ reference: alpha.reference });
+        references.push({ reference: alpha.baseReference });
+      }
+    }
+  }
 
-          // Create aliases
-          var lightAlias = figma.variables.createVariableAlias(importedLight);
-          var darkAlias = figma.variables.createVariableAlias(importedDark);
+  console.log("🧪 Opacity variable generation:", {
+    alphaReferences: Object.keys(requests).length,
+    collection: collection.name,
+  });
 
-          // Set values for modes
-          targetVariable.setValueForMode(lightModeId, lightAlias);
-          targetVariable.setValueForMode(darkModeId, darkAlias);
+  if (references.length === 0) {
+    return Promise.resolve();
+  }
 
-          // Record result
-          var result = {
-            variableName: item.variableName,
-            lightReference: item.lightReference,
-            darkReference: item.darkReference,
-            lightSourceVar: importedLight.name,
-            darkSourceVar: importedDark.name,
-          };
+  return loadResolvableSourceVariables(
+    references,
+    sourceCollection.id,
+    sourceCollectionType
+  ).then(function (sourceVariableMap) {
+    var existing = {};
+    var localVariables = figma.variables.getLocalVariables();
+    for (var i = 0; i < localVariables.length; i++) {
+      if (localVariables[i].variableCollectionId === collection.id) {
+        existing[localVariables[i].name] = localVariables[i];
+      }
+    }
 
-          if (wasUpdated) {
-            updated.push(result);
-          } else {
-            created.push(result);
-          }
+    for (var name in requests) {
+      var request = requests[name];
 
-          console.log("✅ Variable processed successfully:", item.variableName);
-          resolve();
-        })
-        .catch(function (error) {
-          console.error("❌ Import failed:", {
-            variable: item.variableName,
-            error: error.message,
-          });
+      // Already in the source collection, nothing to generate
+      if (findSourceVariable(sourceVariableMap, name)) {
+        continue;
+      }
 
-          failed.push({
-            variableName: item.variableName,
-            lightReference: item.lightReference,
-            darkReference: item.darkReference,
-            error: "Import failed: " + error.message,
-          });
-          resolve();
-        });
-    } catch (error) {
-      console.error("❌ Processing error:", {
-        variable: item.variableName,
-        error: error.message,
-      });
+      try {
+        var base = findSourceVariable(sourceVariableMap, request.baseReference);
+        if (!base) {
+          throw new Error(
+            "Base variable '" + request.baseReference + "' not found"
+          );
+        }
 
-      failed.push({
-        variableName: item.variableName,
-        lightReference: item.lightReference,
-        darkReference: item.darkReference,
-        error: error.message,
-      });
-      resolve();
-    }
-  });
-}
+        var variable = existing[name];
+        var wasUpdated = !!variable;
+        if (!variable) {
+          variable = figma.variables.createVariable(name, collection, "COLOR");
+          existing[name] = variable;
+        }
 
-// ===== FIND VARIABLE KEY IN JSON DATA =====
-function findVariableKeyInJson(jsonData, variableName) {
-  console.log("🔍 Looking for variable key in JSON:", {
-    name: variableName,
-    totalJsonVars: Object.keys(jsonData).length,
-    firstFewKeys: Object.keys(jsonData).slice(0, 3),
-  });
+        var changes = [];
+        for (var m = 0; m < collection.modes.length; m++) {
+          var mode = collection.modes[m];
+          var previous = variable.valuesByMode[mode.modeId];
+          if (request.opacity === 100) {
+            variable.setValueForMode(
+              mode.modeId,
+              figma.variables.createVariableAlias(base)
+            );
+            changes.push(
+              describeModeChange(variable, mode.modeId, mode.name, previous)
+            );
+            continue;
+          }
 
-  // Normalize by removing _100 suffix if present
-  var normalizedName = variableName.replace(/_100$/, "");
-  console.log("📝 Normalized name:", normalizedName);
+          var baseModeId =
+            findModeIdByName(base.variableCollectionId, mode.name) ||
+            getDefaultModeId(base);
+          var resolved = resolveVariableValue(base, baseModeId);
+          if (
+            resolved.error ||
+            !resolved.value ||
+            resolved.value.r === undefined
+          ) {
+            throw new Error(
+              "Could not resolve a colour for '" +
+                base.name +
+                "' in mode " +
+                mode.name +
+                (resolved.error ? ": " + resolved.error : "")
+            );
+          }
 
-  // Handle stepless colors (like black and white) that don't have number steps
-  if (isSteplessColor(normalizedName)) {
-    console.log("⚪ Handling stepless color:", normalizedName);
+          variable.setValueForMode(
+            mode.modeId,
+            applyOpacityToColor(resolved.value, request.opacity)
+          );
+          changes.push(
+            describeModeChange(variable, mode.modeId, mode.name, previous)
+          );
+        }
 
-    // Check if someone is trying to use a step with black/white
-    var parts = normalizedName.split("/");
-    if (parts.length > 2) {
-      console.warn("⚠️ Invalid stepless color pattern detected:", {
-        original: normalizedName,
-        parts: parts,
-      });
-      console.warn(
-        'Colors "black" and "white" should be used without steps, e.g. "color/black" instead of "' +
-          normalizedName +
-          '"'
-      );
+        generatedOpacityVariables[name] = variable;
+        generatedOpacityResults.push({
+          variableId: variable.id,
+          variableName: name,
+          resolvedType: "COLOR",
+          changes: changes,
+          collectionName: collection.name,
+          baseVariable: base.name,
+          opacity: request.opacity,
+          updated: wasUpdated,
+        });
+      } catch (error) {
+        console.warn("⚠️ Could not generate opacity variable:", name, error);
+        generatedOpacityResults.push({
+          variableName: name,
+          collectionName: collection.name,
+          baseVariable: request.baseReference,
+          opacity: request.opacity,
+          error: error.message,
+        });
+      }
     }
 
-    // Ensure we have the simple color/name format
-    var simplePath = "color/" + normalizedName.split("/").pop();
-    console.log("🔄 Trying simplified path:", simplePath);
+    console.log("✅ Opacity variables generated:", {
+      generated: Object.keys(generatedOpacityVariables).length,
+      failed:
+        generatedOpacityResults.length -
+        Object.keys(generatedOpacityVariables).length,
+    });
+  });
+}
 
-    if (jsonData[simplePath]) {
-      console.log("✅ Found stepless color key:", {
-        path: simplePath,
-        key: jsonData[simplePath].key,
-      });
-      return jsonData[simplePath].key;
+// Applies a percentage opacity on top of the colour's own alpha
+function applyOpacityToColor(color, opacityPercent) {
+  var alpha = color.a === undefined ? 1 : color.a;
+  return {
+    r: color.r,
+    g: color.g,
+    b: color.b,
+    a: alpha * (opacityPercent / 100),
+  };
+}
+
+function addGeneratedOpacityVariables(sourceVariableMap) {
+  for (var name in generatedOpacityVariables) {
+    if (!sourceVariableMap[name]) {
+      sourceVariableMap[name] = generatedOpacityVariables[name];
     }
   }
+}
 
-  // Try exact match first
-  if (jsonData[normalizedName]) {
-    console.log("✅ Found exact match key:", {
-      name: normalizedName,
-      key: jsonData[normalizedName].key,
-    });
-    return jsonData[normalizedName].key;
+// Local variables (such as generated opacity variables) can be aliased directly;
+// library variables have to be imported by key first
+function getAliasableVariable(sourceVar) {
+  if (sourceVar.variableCollectionId && !sourceVar.remote) {
+    return Promise.resolve(sourceVar);
   }
+  return importVariableWithRetry(sourceVar.key);
+}
 
-  // Try with/without color prefix
-  var withPrefix = "color/" + normalizedName.replace(/^color\//, "");
-  var withoutPrefix = normalizedName.replace(/^color\//, "");
-
-  console.log("🔍 Trying alternative paths:", {
-    withPrefix: withPrefix,
-    withoutPrefix: withoutPrefix,
-  });
+// ===== EXPORT COLLECTION TO CSS =====
+// Writes a local collection back out as a Tailwind @theme file: every variable
+// gets an @theme entry pointing at a mode-level custom property, and each mode
+// becomes a block (:root for the first mode, .<mode-name> for the others).
+// Literal values that are the same in every mode go straight into @theme.
+function exportCollectionToCSS(collectionId, exportRemBase) {
+  try {
+    var collection = figma.variables.getVariableCollectionById(collectionId);
+    if (!collection) {
+      throw new Error("Collection not found");
+    }
 
-  if (jsonData[withPrefix]) {
-    console.log("✅ Found prefixed key:", {
-      path: withPrefix,
-      key: jsonData[withPrefix].key,
+    var base = exportRemBase > 0 ? exportRemBase : 16;
+    var variables = figma.variables.getLocalVariables().filter(function (v) {
+      return v.variableCollectionId === collection.id;
     });
-    return jsonData[withPrefix].key;
-  }
 
-  if (jsonData[withoutPrefix]) {
-    console.log("✅ Found unprefixed key:", {
-      path: withoutPrefix,
-      key: jsonData[withoutPrefix].key,
+    var modeBlocks = collection.modes.map(function (mode, index) {
+      return {
+        modeId: mode.modeId,
+        modeName: mode.name,
+        selector: index === 0 ? ":root" : "." + slugifyName(mode.name),
+        lines: [],
+      };
     });
-    return jsonData[withoutPrefix].key;
-  }
-
-  console.log("❌ No key found for variable:", variableName);
-  return null;
-}
 
-// Helper function to check if a color is stepless (black or white)
-function isSteplessColor(name) {
-  var colorName = name.split("/").pop().toLowerCase();
-  return colorName === "black" || colorName === "white";
-}
+    console.log("📤 Exporting collection to CSS:", {
+      collection: collection.name,
+      variables: variables.length,
+      modes: modeBlocks.map(function (block) {
+        return block.modeName + " → " + block.selector;
+      }),
+    });
 
-// ===== SEND RESULTS =====
-function sendResults(created, updated, failed, totalVariables) {
-  console.log("Variable Creation Results:", {
-    created: created.length,
-    updated: updated.length,
-    failed: failed.length,
-    total: totalVariables,
-  });
+    var themeLines = [];
+    var usedModeProperties = {};
+    var skipped = [];
 
-  figma.ui.postMessage({
-    type: "creation-complete",
-    success: failed.length === 0,
-    message:
-      failed.length === 0
-        ? "Variables created successfully"
-        : "Variable creation failed",
-    results: {
-      created: created,
-      updated: updated,
-      failed: failed,
-    },
-  });
-}
+    for (var i = 0; i < variables.length; i++) {
+      var variable = variables[i];
 
-// ===== PROCESS LIBRARY VARIABLES =====
-function processLibraryVariables(
-  variablesToCreate,
-  sourceVariableMap,
-  targetCollection,
-  existingVariables,
-  lightModeId,
-  darkModeId,
-  created,
-  updated,
-  failed
-) {
-  console.log("Processing Library Variables:", {
-    total: variablesToCreate.length,
-    type: "library",
-  });
+      if (variable.resolvedType === "BOOLEAN") {
+        skipped.push({
+          variableName: variable.name,
+          error: "BOOLEAN variables have no @theme equivalent",
+        });
+        continue;
+      }
 
-  var importPromises = [];
+      var values = [];
+      var error = null;
+      for (var m = 0; m < modeBlocks.length; m++) {
+        var formatted = formatExportValue(
+          variable,
+          variable.valuesByMode[modeBlocks[m].modeId],
+          base
+        );
+        if (formatted === null) {
+          error = "Unsupported value in mode " + modeBlocks[m].modeName;
+          break;
+        }
+        values.push(formatted);
+      }
 
-  for (var i = 0; i < variablesToCreate.length; i++) {
-    var item = variablesToCreate[i];
+      if (error) {
+        skipped.push({ variableName: variable.name, error: error });
+        continue;
+      }
 
-    try {
-      // Find source variables
-      var lightSourceVar = sourceVariableMap[item.lightReference];
-      var darkSourceVar = sourceVariableMap[item.darkReference];
+      var themeProperty =
+        "--" + getExportThemeProperty(variable.name, variable.resolvedType);
 
-      if (!lightSourceVar || !darkSourceVar) {
-        failed.push({
-          variableName: item.variableName,
-          lightReference: item.lightReference,
-          darkReference: item.darkReference,
-          error:
-            (!lightSourceVar ? "Light" : "Dark") + " source variable not found",
-        });
+      var sameEverywhere = values.every(function (value) {
+        return value === values[0];
+      });
+      if (sameEverywhere && values[0].indexOf("var(") === -1) {
+        themeLines.push(themeProperty + ": " + values[0] + ";");
         continue;
       }
 
-      // Create promise for importing variables
-      var promise = importLibraryVariables(
-        item,
-        lightSourceVar,
-        darkSourceVar,
-        targetCollection,
-        existingVariables,
-        lightModeId,
-        darkModeId,
-        created,
-        updated,
-        failed
-      );
-      importPromises.push(promise);
-    } catch (error) {
-      failed.push({
-        variableName: item.variableName,
-        lightReference: item.lightReference,
-        darkReference: item.darkReference,
-        error: error.message,
-      });
+      var modeProperty = getExportModeProperty(variable, usedModeProperties);
+      themeLines.push(themeProperty + ": var(--" + modeProperty + ");");
+      for (var b = 0; b < modeBlocks.length; b++) {
+        modeBlocks[b].lines.push("--" + modeProperty + ": " + values[b] + ";");
+      }
     }
-  }
 
-  // Wait for all imports to complete
-  Promise.all(importPromises)
-    .then(function () {
-      console.log("Library imports completed");
-      sendResults(created, updated, failed, variablesToCreate.length);
-    })
-    .catch(function (error) {
-      console.error("Library Import Error:", {
-        error: error.message,
-        stack: error.stack,
-      });
-      sendResults(created, updated, failed, variablesToCreate.length);
+    var css =
+      '/* Exported from the "' +
+      collection.name +
+      '" variable collection */\n' +
+      formatCSSBlock("@theme", themeLines);
+    for (var k = 0; k < modeBlocks.length; k++) {
+      if (modeBlocks[k].lines.length > 0) {
+        css +=
+          "\n/* " +
+          modeBlocks[k].modeName +
+          " */\n" +
+          formatCSSBlock(modeBlocks[k].selector, modeBlocks[k].lines);
+      }
+    }
+
+    var exported = variables.length - skipped.length;
+    console.log("✅ CSS export complete:", {
+      exported: exported,
+      skipped: skipped,
+    });
+
+    figma.notify(
+      "Exported " +
+        exported +
+        " variables" +
+        (skipped.length > 0 ? " (" + skipped.length + " skipped)" : "")
+    );
+
+    figma.ui.postMessage({
+      type: "export-complete",
+      success: true,
+      results: {
+        fileName: slugifyName(collection.name) + ".css",
+        css: css,
+        exported: exported,
+        skipped: skipped,
+      },
     });
+  } catch (error) {
+    console.error("❌ CSS export failed:", error);
+    figma.ui.postMessage({
+      type: "export-complete",
+      success: false,
+      message: "Error exporting CSS: " + error.message,
+    });
+  }
 }
 
-// ===== IMPORT LIBRARY VARIABLES =====
-function importLibraryVariables(
-  item,
-  lightSourceVar,
-  darkSourceVar,
-  targetCollection,
-  existingVariables,
-  lightModeId,
-  darkModeId,
-  created,
-  updated,
-  failed
-) {
-  return new Promise(function (resolve) {
-    try {
-      // Get or create target variable
-      var targetVariable = existingVariables[item.variableName];
-      var wasUpdated = !!targetVariable;
+// ===== EXPORT VARIABLE KEYS JSON =====
+// Produces the keys JSON the large-collection flow asks for. Run in the
+// library file: every local variable becomes
+// { "<name>": { key, resolvedType, collection } } after a "$version" header.
+// A name used in more than one collection keeps its first occurrence.
+var KEYS_JSON_VERSION = 1;
 
-      if (!targetVariable) {
-        targetVariable = figma.variables.createVariable(
-          item.variableName,
-          targetCollection,
-          "COLOR"
-        );
-        existingVariables[item.variableName] = targetVariable;
+function exportVariableKeysJSON() {
+  try {
+    var collectionNames = {};
+    var collections = figma.variables.getLocalVariableCollections();
+    for (var i = 0; i < collections.length; i++) {
+      collectionNames[collections[i].id] = collections[i].name;
+    }
+
+    var variables = figma.variables.getLocalVariables();
+    var keys = { $version: KEYS_JSON_VERSION };
+    var exported = 0;
+    var duplicates = [];
+
+    for (var j = 0; j < variables.length; j++) {
+      var variable = variables[j];
+      if (keys[variable.name]) {
+        duplicates.push(variable.name);
+        continue;
       }
+      keys[variable.name] = {
+        key: variable.key,
+        resolvedType: variable.resolvedType,
+        collection: collectionNames[variable.variableCollectionId] || "",
+      };
+      exported++;
+    }
 
-      // Import light and dark variables
-      var lightPromise = figma.variables.importVariableByKeyAsync(
-        lightSourceVar.key
-      );
-      var darkPromise =
-        lightSourceVar.key === darkSourceVar.key
-          ? lightPromise
-          : figma.variables.importVariableByKeyAsync(darkSourceVar.key);
+    console.log("🔑 Keys JSON export complete:", {
+      exported: exported,
+      duplicates: duplicates,
+    });
 
-      Promise.all([lightPromise, darkPromise])
-        .then(function (imported) {
-          var importedLight = imported[0];
-          var importedDark = imported[1];
+    if (exported === 0) {
+      throw new Error("This file has no local variables to export");
+    }
+
+    figma.notify(
+      "Exported keys for " +
+        exported +
+        " variables" +
+        (duplicates.length > 0
+          ? " (" + duplicates.length + " duplicate names skipped)"
+          : "")
+    );
+
+    figma.ui.postMessage({
+      type: "keys-export-complete",
+      success: true,
+      results: {
+        fileName: slugifyName(figma.root.name || "library") + "-keys.json",
+        json: JSON.stringify(keys, null, 2),
+        exported: exported,
+        duplicates: duplicates,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Keys JSON export failed:", error);
+    figma.ui.postMessage({
+      type: "keys-export-complete",
+      success: false,
+      message: "Error exporting keys JSON: " + error.message,
+    });
+  }
+}
 
-          // Create aliases
-          var lightAlias = figma.variables.createVariableAlias(importedLight);
-          var darkAlias = figma.variables.createVariableAlias(importedDark);
+// Inverse of convertCSSVariableToFigmaName without the leading --:
+// color/fill/primary → color-fill-primary
+function convertFigmaNameToCSSVariable(figmaName) {
+  return figmaName.replace(/\s+/g, "-").replace(/\//g, "-");
+}
 
-          // Set values for modes
-          targetVariable.setValueForMode(lightModeId, lightAlias);
-          targetVariable.setValueForMode(darkModeId, darkAlias);
+// The @theme property without the leading --, with the active naming rules
+// undone so importing the file gives the same names. Colours always live
+// under --color-*: with the default rules color/blue/500 and blue/500 both
+// become color-blue-500.
+function getExportThemeProperty(figmaName, resolvedType) {
+  var property = convertFigmaNameToCSSVariable(
+    reverseNamingRules(figmaName, resolvedType, getActiveNamingRules())
+  );
+  var namespace = matchThemeNamespace("--" + property);
+  if (
+    resolvedType === "COLOR" &&
+    (!namespace || namespace.resolvedType !== "COLOR")
+  ) {
+    property = "color-" + property;
+  }
+  return property;
+}
 
-          // Record result
-          var result = {
-            variableName: item.variableName,
-            lightReference: item.lightReference,
-            darkReference: item.darkReference,
-            lightSourceVar: importedLight.name,
-            darkSourceVar: importedDark.name,
-          };
+// The rules of the last parse, or else those stored with the last sync
+function getActiveNamingRules() {
+  if (namingRules) {
+    return namingRules;
+  }
+  var config = loadSyncConfig();
+  return (
+    (config && config.options && config.options.namingRules) ||
+    DEFAULT_NAMING_RULES
+  );
+}
 
-          if (wasUpdated) {
-            updated.push(result);
-          } else {
-            created.push(result);
-          }
+// The mode-level property drops the namespace (color/fill/primary → fill-primary),
+// falling back to a namespaced suffix when two namespaces share a name
+function getExportModeProperty(variable, usedModeProperties) {
+  var segments = variable.name.split("/");
+  var namespace = segments.length > 1 ? segments.shift() : "";
+  var property = convertFigmaNameToCSSVariable(segments.join("/"));
 
-          resolve();
-        })
-        .catch(function (error) {
-          failed.push({
-            variableName: item.variableName,
-            lightReference: item.lightReference,
-            darkReference: item.darkReference,
-            error: "Import failed: " + error.message,
-          });
-          resolve();
-        });
-    } catch (error) {
-      failed.push({
-        variableName: item.variableName,
-        lightReference: item.lightReference,
-        darkReference: item.darkReference,
-        error: error.message,
-      });
-      resolve();
-    }
-  });
+  if (usedModeProperties[property] && namespace) {
+    property = property + "-" + convertFigmaNameToCSSVariable(namespace);
+  }
+  var unique = property;
+  for (var n = 2; usedModeProperties[unique]; n++) {
+    unique = property + "-" + n;
+  }
+  usedModeProperties[unique] = true;
+  return unique;
 }
 
-// ===== FIND SOURCE VARIABLE =====
-function findSourceVariable(sourceVariableMap, variableName) {
-  // Try exact match first
-  if (sourceVariableMap[variableName]) {
-    return sourceVariableMap[variableName];
+// Formats one mode value as CSS, or returns null when it cannot be written.
+// Aliases to _NN opacity variables become --alpha(var(--x) / NN%).
+function formatExportValue(variable, value, base) {
+  if (value === undefined || value === null) {
+    return null;
   }
 
-  // Try with/without color prefix
-  var withPrefix = "color/" + variableName.replace(/^color\//, "");
-  var withoutPrefix = variableName.replace(/^color\//, "");
+  if (value.type === "VARIABLE_ALIAS") {
+    var target = figma.variables.getVariableById(value.id);
+    if (!target) {
+      return null;
+    }
+    // Written under the same name as the target's own @theme entry
+    var opacity =
+      target.resolvedType === "COLOR" ? parseOpacitySuffix(target.name) : null;
+    if (opacity) {
+      return (
+        "--alpha(var(--" +
+        getExportThemeProperty(opacity.base, target.resolvedType) +
+        ") / " +
+        opacity.opacity +
+        "%)"
+      );
+    }
+    return (
+      "var(--" + getExportThemeProperty(target.name, target.resolvedType) + ")"
+    );
+  }
 
-  if (sourceVariableMap[withPrefix]) {
-    return sourceVariableMap[withPrefix];
+  if (variable.resolvedType === "COLOR") {
+    return value.r === undefined ? null : formatHexColor(value);
   }
 
-  if (sourceVariableMap[withoutPrefix]) {
-    return sourceVariableMap[withoutPrefix];
+  if (variable.resolvedType === "STRING") {
+    return /^[\w-]+$/.test(value) ? value : JSON.stringify(String(value));
   }
 
-  // Handle stepless colors (black/white)
-  if (isSteplessColor(variableName)) {
-    var simplePath = "color/" + variableName.split("/").pop();
-    if (sourceVariableMap[simplePath]) {
-      return sourceVariableMap[simplePath];
+  if (variable.resolvedType === "FLOAT") {
+    var namespace = variable.name.split("/")[0];
+    if (["spacing", "radius", "text"].indexOf(namespace) !== -1) {
+      return value === 0 ? "0" : roundExportNumber(value / base) + "rem";
+    }
+    if (namespace === "opacity") {
+      return roundExportNumber(value) + "%";
     }
+    return String(roundExportNumber(value));
   }
 
   return null;
 }
+
+function formatHexColor(color) {
+  var channels = [color.r, color.g, color.b];
+  if (color.a !== undefined && color.a < 1) {
+    channels.push(color.a);
+  }
+  return (
+    "#" +
+    channels
+      .map(function (channel) {
+        var hex = Math.round(clampUnit(channel) * 255).toString(16);
+        return hex.length === 1 ? "0" + hex : hex;
+      })
+      .join("")
+  );
+}
+
+function roundExportNumber(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+function formatCSSBlock(selector, lines) {
+  return (
+    selector +
+    " {\n" +
+    lines
+      .map(function (line) {
+        return "  " + line + "\n";
+      })
+      .join("") +
+    "}\n"
+  );
+}
+
+function slugifyName(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "theme"
+  );
+}